@@ -30,5 +30,12 @@ export default tseslint.config(
         },
       ],
     },
+  },
+  {
+    files: ["test/**/*.js"],
+    rules: {
+      // Test runners track their tests, so their promises needn't be awaited.
+      "@typescript-eslint/no-floating-promises": "off",
+    },
   }
 );
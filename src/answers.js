@@ -0,0 +1,35 @@
+/** Maximum length of an answer, in characters. */
+export const MAX_ANSWER_LENGTH = 64;
+
+/**
+ * Normalizes an answer as typed by a player: composes it to Unicode NFC, trims
+ * it and collapses its inner whitespace.
+ * @param {string} answer - Answer to normalize.
+ * @returns {string} - Normalized answer.
+ */
+export function normalizeAnswer(answer) {
+  return answer.normalize("NFC").trim().replaceAll(/\s+/g, " ");
+}
+
+/**
+ * Gets the key used to compare answers. Answers that differ only in case or
+ * accents have the same key, following pt-BR rules.
+ * @param {string} answer - Answer to get the key of.
+ * @returns {string} - Comparison key of the answer.
+ */
+export function answerKey(answer) {
+  return normalizeAnswer(answer)
+    .normalize("NFD")
+    .replaceAll(/\p{Mn}/gu, "")
+    .toLocaleLowerCase("pt-BR");
+}
+
+/**
+ * Checks whether an answer starts with a letter, ignoring case and accents.
+ * @param {string} answer - Answer to check.
+ * @param {string} letter - Letter that the answer should start with.
+ * @returns {boolean} - Whether the answer starts with the letter.
+ */
+export function startsWithLetter(answer, letter) {
+  return answerKey(answer).startsWith(answerKey(letter));
+}
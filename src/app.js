@@ -1,8 +1,31 @@
+import { KeyedRateLimiter } from "./rate-limiter.js";
 import Rooms from "./rooms.js";
 
+const MAX_ROOMS = Number.parseInt(process.env["MAX_ROOMS"] || "1000");
+const ROOM_CREATE_RATE_LIMIT = Number.parseInt(
+  process.env["ROOM_CREATE_RATE_LIMIT"] || "10"
+);
+const JOIN_RATE_LIMIT = Number.parseInt(process.env["JOIN_RATE_LIMIT"] || "30");
+
+/** Length of the per-IP rate windows, in milliseconds. */
+const RATE_WINDOW = 60e3;
+
 class App {
   /** @type {Rooms} */
-  rooms = new Rooms();
+  rooms = new Rooms({}, MAX_ROOMS);
+
+  /** Limits how many rooms each IP address can create per minute. */
+  createLimiter = new KeyedRateLimiter(ROOM_CREATE_RATE_LIMIT, RATE_WINDOW);
+
+  /** Limits how many times each IP address can join rooms per minute. */
+  joinLimiter = new KeyedRateLimiter(JOIN_RATE_LIMIT, RATE_WINDOW);
+
+  /**
+   * Whether the server takes new clients. It isn't ready until the saved rooms
+   * are restored, and stops being ready when it starts shutting down.
+   * @type {boolean}
+   */
+  ready = false;
 }
 
 export default new App();
@@ -0,0 +1,348 @@
+import { z } from "zod";
+import { isKnownAnswer, wordsStartingWith } from "./dictionary.js";
+
+/** Settings of a bot player. */
+export const botSettingsSchema = z.object({
+  name: z
+    .optional(z.string().trim().min(1).max(32))
+    .describe("Name of the bot. A numbered name is picked if not given"),
+  skill: z
+    .number()
+    .min(0)
+    .max(1)
+    .default(0.5)
+    .describe(
+      "How likely the bot is to know an answer and to doubt unknown answers, from 0 to 1"
+    ),
+  speed: z
+    .number()
+    .min(0)
+    .max(1)
+    .default(0.5)
+    .describe("How fast the bot answers, from 0 to 1"),
+});
+/** @typedef {z.infer<typeof botSettingsSchema>} BotSettings */
+
+/** @typedef {import("./transport.js").Transport} Transport */
+
+/** Delay between a bot deciding to stop the round and sending the stop. */
+const STOP_DELAY = 1e3;
+
+/**
+ * Client of a bot player. It's the transport of the bot's {@link Player}: it
+ * reacts to the messages the room sends to the bot and answers with messages
+ * of its own, just like a remote client would.
+ *
+ * Bots answer with words from the bundled dictionary, so they leave blank the
+ * categories that the dictionary doesn't know.
+ * @implements {Transport}
+ */
+export default class BotClient {
+  /** @type {Omit<BotSettings, "name">} */
+  #settings;
+
+  /** @type {import("./clock.js").Clock} */
+  #clock;
+
+  /** @type {import("./random.js").Random} */
+  #random;
+
+  /**
+   * Timers of the actions planned for the current round.
+   * @type {Set<import("./clock.js").Timer>}
+   */
+  #timers = new Set();
+
+  /** @type {import("./clock.js").Timer | undefined} */
+  #heartbeatTimeout;
+
+  /** @type {((data: unknown) => void)[]} */
+  #messageListeners = [];
+
+  /** @type {(() => void)[]} */
+  #closeListeners = [];
+
+  /**
+   * Whether the bot left the room.
+   * @type {boolean}
+   */
+  #closed = false;
+
+  /** @returns {boolean} - Whether the bot left the room. */
+  get closed() {
+    return this.#closed;
+  }
+
+  /**
+   * Categories of the room.
+   * @type {string[]}
+   */
+  #categories = [];
+
+  /**
+   * BCP 47 tag of the language of the categories, if the room has one.
+   * @type {string | undefined}
+   */
+  #language;
+
+  /**
+   * Timings of the room, known once the room sends them.
+   * @type {import("./room-settings.js").RoomTimings | undefined}
+   */
+  #timings;
+
+  /**
+   * Answers given in the current round, by category.
+   * @type {Map<string, string>}
+   */
+  #answers = new Map();
+
+  /**
+   * Number of answers the bot plans to give in the current round.
+   * @type {number}
+   */
+  #plannedAnswers = 0;
+
+  /**
+   * Whether stopping the round is available.
+   * @type {boolean}
+   */
+  #stopAvailable = false;
+
+  /**
+   * Whether the bot already decided whether to stop the current round.
+   * @type {boolean}
+   */
+  #stopConsidered = false;
+
+  /**
+   * Constructs a new bot client.
+   * @param {Omit<BotSettings, "name">} settings - Skill and speed of the bot.
+   * @param {import("./clock.js").Clock} clock - Clock for the bot actions.
+   * @param {import("./random.js").Random} random - Random number source for
+   * the bot decisions.
+   */
+  constructor(settings, clock, random) {
+    this.#settings = { skill: settings.skill, speed: settings.speed };
+    this.#clock = clock;
+    this.#random = random;
+  }
+
+  /**
+   * Sends a message from the bot to the room.
+   * @param {import("./player-messages.js").FromPlayerMessage} message -
+   * Message to send.
+   */
+  #emit(message) {
+    if (this.#closed) return;
+
+    for (const listener of this.#messageListeners) listener(message);
+  }
+
+  /**
+   * Schedules an action of the current round. Pending actions are dropped
+   * when the round moves on.
+   * @param {number} delay - Delay before the action, in milliseconds.
+   * @param {() => void} action - Action to take.
+   */
+  #later(delay, action) {
+    const timer = this.#clock.setTimeout(() => {
+      this.#timers.delete(timer);
+      action();
+    }, delay);
+    this.#timers.add(timer);
+  }
+
+  /** Drops the pending actions of the current round. */
+  #cancelActions() {
+    for (const timer of this.#timers) this.#clock.clearTimeout(timer);
+    this.#timers.clear();
+  }
+
+  /**
+   * Sends heartbeats often enough to never be taken for an inactive player.
+   */
+  #scheduleHeartbeat() {
+    if (this.#timings == undefined || this.#closed) return;
+
+    this.#clock.clearTimeout(this.#heartbeatTimeout);
+    this.#heartbeatTimeout = this.#clock.setTimeout(() => {
+      this.#emit({ type: "heartbeat" });
+      this.#scheduleHeartbeat();
+    }, this.#timings.inactivityTimeout / 2);
+  }
+
+  /**
+   * Plans the answers of a round. The bot knows a word for a category with a
+   * chance that grows with its skill, and faster bots fill their answers in a
+   * smaller part of the round.
+   * @param {string} letter - Letter of the round.
+   * @param {number} duration - Duration of the answering period.
+   */
+  #planAnswers(letter, duration) {
+    this.#cancelActions();
+    this.#answers.clear();
+    this.#plannedAnswers = 0;
+    this.#stopAvailable = false;
+    this.#stopConsidered = false;
+
+    const categories = [...this.#categories];
+    const knowChance = 0.3 + 0.7 * this.#settings.skill;
+    const usedFraction = 1 - 0.85 * this.#settings.speed;
+
+    for (const [index, category] of categories.entries()) {
+      const words = wordsStartingWith(category, letter, this.#language);
+      if (words.length === 0 || this.#random() >= knowChance) continue;
+
+      const word = words[Math.floor(this.#random() * words.length)];
+      if (word == undefined) continue;
+
+      ++this.#plannedAnswers;
+      const delay =
+        (duration * usedFraction * (index + this.#random())) /
+        categories.length;
+      this.#later(delay, () => {
+        this.#answers.set(category, word);
+        this.#emit({
+          type: "change-answer",
+          content: { category, answer: word },
+        });
+        this.#considerStopping();
+      });
+    }
+  }
+
+  /**
+   * Sometimes stops the round, once stopping is available and the bot gave
+   * all the answers it knows. Skilled bots stop more often.
+   */
+  #considerStopping() {
+    if (
+      this.#stopConsidered ||
+      !this.#stopAvailable ||
+      this.#plannedAnswers === 0 ||
+      this.#answers.size < this.#plannedAnswers
+    )
+      return;
+
+    this.#stopConsidered = true;
+    if (this.#random() >= 0.25 + 0.5 * this.#settings.skill) return;
+
+    this.#later(STOP_DELAY, () => {
+      this.#emit({ type: "stop-round" });
+    });
+  }
+
+  /**
+   * Votes on the answers of a category. Answers in the dictionary are
+   * accepted, and unknown ones are rejected with a chance that grows with the
+   * bot skill. Answers of categories the dictionary doesn't know are accepted.
+   * @param {string} category - Category being voted.
+   * @param {string[]} answers - Answers to vote on.
+   * @param {number} duration - Duration of the voting period.
+   */
+  #vote(category, answers, duration) {
+    const own = this.#answers.get(category);
+
+    for (const answer of answers) {
+      if (
+        answer === own ||
+        isKnownAnswer(category, answer, this.#language) !== false
+      )
+        continue;
+      if (this.#random() >= 0.5 * this.#settings.skill) continue;
+
+      this.#later(duration * 0.5 * this.#random(), () => {
+        this.#emit({
+          type: "change-answer-vote",
+          content: { category, answer, accepted: false },
+        });
+      });
+    }
+  }
+
+  /**
+   * Handles a message from the room to the bot.
+   * @param {import("./player-messages.js").ToPlayerMessage} message - Message
+   * to handle.
+   */
+  send(message) {
+    if (this.#closed) return;
+
+    switch (message.type) {
+      case "room-categories": {
+        this.#categories = message.content;
+        break;
+      }
+      case "room-timings": {
+        this.#timings = message.content;
+        this.#scheduleHeartbeat();
+        break;
+      }
+      case "room-settings": {
+        this.#categories = message.content.categories;
+        this.#language = message.content.language;
+        this.#timings = message.content.timings;
+        this.#scheduleHeartbeat();
+        break;
+      }
+      case "round-starting":
+      case "round-stopping": {
+        this.#cancelActions();
+        break;
+      }
+      case "round-started":
+      case "letter-rerolled": {
+        this.#planAnswers(message.content.letter, message.content.duration);
+        break;
+      }
+      case "stop-available": {
+        this.#stopAvailable = true;
+        this.#considerStopping();
+        break;
+      }
+      case "category-vote-started": {
+        const { category, answers, duration } = message.content;
+        this.#vote(category, answers, duration);
+        break;
+      }
+    }
+  }
+
+  /** Makes the bot leave, dropping its pending actions. */
+  #leave() {
+    if (this.#closed) return;
+
+    this.#closed = true;
+    this.#cancelActions();
+    this.#clock.clearTimeout(this.#heartbeatTimeout);
+
+    for (const listener of this.#closeListeners) listener();
+  }
+
+  /** Disconnects the bot. Bots don't care about the close code or reason. */
+  close() {
+    this.#leave();
+  }
+
+  /** Disconnects the bot. */
+  terminate() {
+    this.#leave();
+  }
+
+  /**
+   * Adds a listener for messages from the bot.
+   * @param {(data: unknown) => void} listener - Listener to add.
+   */
+  onMessage(listener) {
+    this.#messageListeners.push(listener);
+  }
+
+  /**
+   * Adds a listener for when the bot disconnects.
+   * @param {() => void} listener - Listener to add.
+   */
+  onClose(listener) {
+    this.#closeListeners.push(listener);
+  }
+}
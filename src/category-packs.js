@@ -0,0 +1,152 @@
+import { answerKey } from "./answers.js";
+
+/**
+ * Ready-made list of categories that rooms can be created from.
+ * @typedef {object} CategoryPack
+ * @property {string} id - ID of the pack, used when creating rooms.
+ * @property {string} name - Display name of the pack.
+ * @property {string} language - BCP 47 tag of the language of the categories.
+ * @property {string} description - Short description of the pack.
+ * @property {string[]} categories - Categories of the pack.
+ */
+
+/** @type {CategoryPack[]} */
+export const CATEGORY_PACKS = [
+  {
+    id: "classic-pt-br",
+    name: "Adedanha clássica",
+    language: "pt-BR",
+    description: "As categorias de sempre do Stop",
+    categories: [
+      "Nome",
+      "Cidade",
+      "País",
+      "Animal",
+      "Fruta",
+      "Cor",
+      "Objeto",
+      "Profissão",
+      "Comida",
+      "Marca",
+      "Filme ou série",
+      "Parte do corpo",
+    ],
+  },
+  {
+    id: "classic-en",
+    name: "Classic",
+    language: "en",
+    description: "The usual categories of Scattergories-style games",
+    categories: [
+      "Name",
+      "City",
+      "Country",
+      "Animal",
+      "Fruit",
+      "Color",
+      "Object",
+      "Job",
+      "Food",
+      "Brand",
+      "Movie or TV show",
+      "Body part",
+    ],
+  },
+  {
+    id: "kids-pt-br",
+    name: "Criançada",
+    language: "pt-BR",
+    description: "Categorias fáceis para jogar com crianças",
+    categories: [
+      "Nome",
+      "Animal",
+      "Fruta",
+      "Cor",
+      "Brinquedo",
+      "Desenho animado",
+      "Comida",
+      "Objeto",
+    ],
+  },
+  {
+    id: "pop-culture-pt-br",
+    name: "Cultura pop",
+    language: "pt-BR",
+    description: "Filmes, músicas, jogos e celebridades",
+    categories: [
+      "Filme",
+      "Série",
+      "Música",
+      "Cantor ou banda",
+      "Celebridade",
+      "Personagem",
+      "Jogo",
+      "Novela",
+      "Super-herói",
+      "Marca",
+    ],
+  },
+  {
+    id: "geography-pt-br",
+    name: "Geografia",
+    language: "pt-BR",
+    description: "Lugares do Brasil e do mundo",
+    categories: [
+      "Cidade",
+      "País",
+      "Capital",
+      "Estado ou província",
+      "Rio",
+      "Montanha ou serra",
+      "Ponto turístico",
+      "Gentílico",
+      "Idioma",
+    ],
+  },
+  {
+    id: "food-pt-br",
+    name: "Comilança",
+    language: "pt-BR",
+    description: "Tudo o que dá para comer ou beber",
+    categories: [
+      "Comida",
+      "Fruta",
+      "Legume ou verdura",
+      "Doce",
+      "Bebida",
+      "Prato típico",
+      "Tempero",
+      "Restaurante",
+    ],
+  },
+];
+
+/**
+ * Gets a category pack.
+ * @param {string} id - ID of the pack.
+ * @returns {CategoryPack | undefined} - Pack with the ID, if any.
+ */
+export function getCategoryPack(id) {
+  return CATEGORY_PACKS.find((pack) => pack.id === id);
+}
+
+/**
+ * Adds and removes categories from a list. Categories are compared ignoring
+ * case and accents, so extra categories already in the list aren't repeated.
+ * @param {string[]} categories - Categories to start from.
+ * @param {string[]} extra - Categories to add at the end.
+ * @param {string[]} excluded - Categories to remove.
+ * @returns {string[]} - Resulting categories.
+ */
+export function customizeCategories(categories, extra, excluded) {
+  const excludedKeys = new Set(excluded.map((category) => answerKey(category)));
+  const keys = new Set();
+
+  return [...categories, ...extra].filter((category) => {
+    const key = answerKey(category);
+    if (excludedKeys.has(key) || keys.has(key)) return false;
+
+    keys.add(key);
+    return true;
+  });
+}
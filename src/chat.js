@@ -0,0 +1,43 @@
+import { answerKey } from "./answers.js";
+
+/** Maximum length of a chat message, in characters. */
+export const MAX_CHAT_MESSAGE_LENGTH = 300;
+
+/** Maximum number of chat messages a player can send in the rate window. */
+export const CHAT_RATE_LIMIT = 5;
+
+/** Length of the chat rate window, in milliseconds. */
+export const CHAT_RATE_WINDOW = 10e3;
+
+/**
+ * Censors blocked words in chat messages. Words are compared ignoring case and
+ * accents.
+ */
+export class ChatFilter {
+  /**
+   * Comparison keys of the blocked words.
+   * @type {Set<string>}
+   */
+  #blocked;
+
+  /**
+   * Constructs a new chat filter.
+   * @param {Iterable<string>} blocklist - Words to censor.
+   */
+  constructor(blocklist) {
+    this.#blocked = new Set([...blocklist].map((word) => answerKey(word)));
+  }
+
+  /**
+   * Replaces the blocked words in a message with asterisks.
+   * @param {string} text - Message to censor.
+   * @returns {string} - Censored message.
+   */
+  censor(text) {
+    if (this.#blocked.size === 0) return text;
+
+    return text.replaceAll(/[\p{L}\p{M}\p{N}]+/gu, (word) =>
+      this.#blocked.has(answerKey(word)) ? "*".repeat(word.length) : word
+    );
+  }
+}
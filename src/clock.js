@@ -0,0 +1,35 @@
+/**
+ * Handle of a scheduled callback, used to cancel it.
+ * @typedef {unknown} Timer
+ */
+
+/**
+ * Source of time and timers. Game code uses a clock instead of the global
+ * timer functions so tests can control time.
+ * @typedef {object} Clock
+ * @property {() => number} now - Gets the current time, in milliseconds.
+ * @property {(callback: () => void, delay: number) => Timer} setTimeout -
+ * Calls a function once after a delay, in milliseconds.
+ * @property {(timer: Timer | undefined) => void} clearTimeout - Cancels a
+ * timeout. Does nothing if the timer is `undefined` or already ran.
+ * @property {(callback: () => void, interval: number) => Timer} setInterval -
+ * Calls a function repeatedly, waiting an interval between calls.
+ * @property {(timer: Timer | undefined) => void} clearInterval - Cancels an
+ * interval. Does nothing if the timer is `undefined`.
+ */
+
+/**
+ * Clock backed by the system time and the global timer functions.
+ * @type {Clock}
+ */
+export const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (callback, delay) => setTimeout(callback, delay),
+  clearTimeout: (timer) => {
+    clearTimeout(/** @type {NodeJS.Timeout | undefined} */ (timer));
+  },
+  setInterval: (callback, interval) => setInterval(callback, interval),
+  clearInterval: (timer) => {
+    clearInterval(/** @type {NodeJS.Timeout | undefined} */ (timer));
+  },
+};
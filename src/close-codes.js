@@ -11,6 +11,18 @@ export const CloseCodes = /** @type {const} */ ({
   NICKNAME_ALREADY_IN_ROOM: 4002,
   /** Player was removed from the room. */
   PLAYER_REMOVED: 4003,
+  /** No player in the room with the given resume token. */
+  INVALID_RESUME_TOKEN: 4004,
+  /** The player session was resumed in another connection. */
+  SESSION_RESUMED: 4005,
+  /** The room has no free seats for players or spectators. */
+  ROOM_FULL: 4006,
+  /** The client uses a protocol version that the server doesn't support. */
+  UNSUPPORTED_PROTOCOL_VERSION: 4007,
+  /** The client sent too many messages or made too many requests. */
+  RATE_LIMITED: 4008,
+  /** The invite is invalid, expired or used up. */
+  INVALID_INVITE: 4009,
 });
 
 export default CloseCodes;
@@ -0,0 +1,456 @@
+import { answerKey, startsWithLetter } from "./answers.js";
+
+/** BCP 47 tag of the language of the known answers. */
+export const DICTIONARY_LANGUAGE = "pt-BR";
+
+/**
+ * Known answers of common categories, by category key. The lists are far from
+ * complete, so an answer missing from them isn't necessarily wrong.
+ * @type {Readonly<Record<string, string[]>>}
+ */
+const WORDS = {
+  animal: [
+    "Abelha",
+    "Arara",
+    "Baleia",
+    "Boi",
+    "Cachorro",
+    "Cavalo",
+    "Cobra",
+    "Dromedário",
+    "Elefante",
+    "Ema",
+    "Foca",
+    "Formiga",
+    "Gato",
+    "Girafa",
+    "Hiena",
+    "Hipopótamo",
+    "Iguana",
+    "Jacaré",
+    "Jabuti",
+    "Koala",
+    "Leão",
+    "Lobo",
+    "Macaco",
+    "Morcego",
+    "Naja",
+    "Onça",
+    "Ovelha",
+    "Pato",
+    "Porco",
+    "Quati",
+    "Rato",
+    "Raposa",
+    "Sapo",
+    "Sucuri",
+    "Tatu",
+    "Tigre",
+    "Urso",
+    "Urubu",
+    "Vaca",
+    "Veado",
+    "Xexéu",
+    "Zebra",
+  ],
+  cidade: [
+    "Aracaju",
+    "Belém",
+    "Belo Horizonte",
+    "Curitiba",
+    "Campinas",
+    "Diadema",
+    "Dourados",
+    "Extrema",
+    "Florianópolis",
+    "Fortaleza",
+    "Goiânia",
+    "Guarulhos",
+    "Hortolândia",
+    "Itajaí",
+    "Ilhéus",
+    "João Pessoa",
+    "Joinville",
+    "Londrina",
+    "Lages",
+    "Manaus",
+    "Maceió",
+    "Natal",
+    "Niterói",
+    "Osasco",
+    "Olinda",
+    "Porto Alegre",
+    "Palmas",
+    "Quixadá",
+    "Recife",
+    "Rio de Janeiro",
+    "Salvador",
+    "São Paulo",
+    "Teresina",
+    "Taubaté",
+    "Uberlândia",
+    "Uberaba",
+    "Vitória",
+    "Volta Redonda",
+    "Xique-Xique",
+    "Xanxerê",
+    "Zé Doca",
+  ],
+  comida: [
+    "Arroz",
+    "Acarajé",
+    "Bolo",
+    "Brigadeiro",
+    "Cuscuz",
+    "Coxinha",
+    "Empada",
+    "Esfiha",
+    "Farofa",
+    "Feijoada",
+    "Galinhada",
+    "Hambúrguer",
+    "Inhame",
+    "Jiló",
+    "Lasanha",
+    "Macarrão",
+    "Moqueca",
+    "Nhoque",
+    "Omelete",
+    "Pastel",
+    "Pizza",
+    "Quindim",
+    "Quibe",
+    "Risoto",
+    "Rabada",
+    "Sopa",
+    "Sushi",
+    "Tapioca",
+    "Torta",
+    "Vatapá",
+    "Xinxim",
+    "Yakisoba",
+  ],
+  cor: [
+    "Amarelo",
+    "Azul",
+    "Branco",
+    "Bege",
+    "Cinza",
+    "Ciano",
+    "Dourado",
+    "Esmeralda",
+    "Fúcsia",
+    "Grafite",
+    "Gelo",
+    "Índigo",
+    "Jade",
+    "Laranja",
+    "Lilás",
+    "Marrom",
+    "Magenta",
+    "Neve",
+    "Ocre",
+    "Preto",
+    "Prata",
+    "Rosa",
+    "Roxo",
+    "Salmão",
+    "Sépia",
+    "Turquesa",
+    "Terracota",
+    "Uva",
+    "Verde",
+    "Vermelho",
+    "Vinho",
+    "Xadrez",
+  ],
+  fruta: [
+    "Abacaxi",
+    "Acerola",
+    "Banana",
+    "Caju",
+    "Cereja",
+    "Damasco",
+    "Embaúba",
+    "Figo",
+    "Framboesa",
+    "Goiaba",
+    "Graviola",
+    "Groselha",
+    "Ingá",
+    "Jabuticaba",
+    "Jaca",
+    "Kiwi",
+    "Laranja",
+    "Limão",
+    "Maçã",
+    "Manga",
+    "Nectarina",
+    "Nêspera",
+    "Pera",
+    "Pitanga",
+    "Quiuí",
+    "Romã",
+    "Seriguela",
+    "Tangerina",
+    "Tamarindo",
+    "Umbu",
+    "Uva",
+    "Vergamota",
+  ],
+  nome: [
+    "Ana",
+    "Antônio",
+    "Bruno",
+    "Beatriz",
+    "Carlos",
+    "Camila",
+    "Daniel",
+    "Diana",
+    "Eduardo",
+    "Elisa",
+    "Fernanda",
+    "Felipe",
+    "Gabriel",
+    "Giovana",
+    "Heitor",
+    "Helena",
+    "Igor",
+    "Isabela",
+    "João",
+    "Júlia",
+    "Kleber",
+    "Karina",
+    "Lucas",
+    "Luana",
+    "Mariana",
+    "Marcelo",
+    "Natália",
+    "Nicolas",
+    "Otávio",
+    "Olívia",
+    "Pedro",
+    "Patrícia",
+    "Quitéria",
+    "Rafael",
+    "Renata",
+    "Sofia",
+    "Samuel",
+    "Tiago",
+    "Tatiana",
+    "Ubiratan",
+    "Úrsula",
+    "Vitor",
+    "Valentina",
+    "Wagner",
+    "Wanda",
+    "Xavier",
+    "Yasmin",
+    "Yuri",
+    "Zeca",
+    "Zuleide",
+  ],
+  objeto: [
+    "Agulha",
+    "Armário",
+    "Bola",
+    "Balde",
+    "Caneta",
+    "Cadeira",
+    "Dado",
+    "Escova",
+    "Espelho",
+    "Faca",
+    "Garfo",
+    "Garrafa",
+    "Hélice",
+    "Isqueiro",
+    "Jarra",
+    "Lápis",
+    "Livro",
+    "Mesa",
+    "Martelo",
+    "Navalha",
+    "Óculos",
+    "Panela",
+    "Pente",
+    "Quadro",
+    "Relógio",
+    "Régua",
+    "Sofá",
+    "Tesoura",
+    "Travesseiro",
+    "Urna",
+    "Vassoura",
+    "Vaso",
+    "Xícara",
+    "Zíper",
+  ],
+  pais: [
+    "Argentina",
+    "Alemanha",
+    "Brasil",
+    "Bolívia",
+    "Canadá",
+    "Catar",
+    "Chile",
+    "Dinamarca",
+    "Egito",
+    "Espanha",
+    "França",
+    "Finlândia",
+    "Grécia",
+    "Gana",
+    "Holanda",
+    "Haiti",
+    "Itália",
+    "Índia",
+    "Japão",
+    "Jamaica",
+    "Quênia",
+    "Líbano",
+    "Luxemburgo",
+    "México",
+    "Marrocos",
+    "Noruega",
+    "Nigéria",
+    "Omã",
+    "Peru",
+    "Portugal",
+    "Rússia",
+    "Romênia",
+    "Suécia",
+    "Suíça",
+    "Tailândia",
+    "Turquia",
+    "Uruguai",
+    "Ucrânia",
+    "Venezuela",
+    "Vietnã",
+    "Zâmbia",
+    "Zimbábue",
+  ],
+  profissao: [
+    "Advogado",
+    "Arquiteto",
+    "Bombeiro",
+    "Bancário",
+    "Carpinteiro",
+    "Cozinheiro",
+    "Dentista",
+    "Designer",
+    "Enfermeiro",
+    "Engenheiro",
+    "Farmacêutico",
+    "Fotógrafo",
+    "Garçom",
+    "Geólogo",
+    "Historiador",
+    "Instrutor",
+    "Jornalista",
+    "Juiz",
+    "Locutor",
+    "Lixeiro",
+    "Médico",
+    "Motorista",
+    "Nutricionista",
+    "Odontólogo",
+    "Professor",
+    "Padeiro",
+    "Químico",
+    "Recepcionista",
+    "Relojoeiro",
+    "Sapateiro",
+    "Soldado",
+    "Taxista",
+    "Tradutor",
+    "Urbanista",
+    "Veterinário",
+    "Vendedor",
+    "Xerife",
+    "Zelador",
+    "Zootecnista",
+  ],
+};
+
+/** Other names that categories go by, mapped to the keys of {@link WORDS}. */
+const ALIASES = {
+  bicho: "animal",
+  cep: "cidade",
+  "nome proprio": "nome",
+  "nome de pessoa": "nome",
+  prato: "comida",
+  coisa: "objeto",
+};
+
+/**
+ * Gets the known answers of a category.
+ * @param {string} category - Name of the category.
+ * @param {string} [language] - BCP 47 tag of the language of the category.
+ * Defaults to the language of the dictionary.
+ * @returns {string[] | undefined} - Known answers, or `undefined` if
+ * the category isn't in the dictionary or is in another language.
+ */
+export function wordsFor(category, language = DICTIONARY_LANGUAGE) {
+  if (language.toLowerCase() !== DICTIONARY_LANGUAGE.toLowerCase()) return;
+
+  const key = answerKey(category);
+  const alias = /** @type {Record<string, string | undefined>} */ (ALIASES)[
+    key
+  ];
+
+  return WORDS[alias ?? key];
+}
+
+/**
+ * Gets the known answers of a category that start with a letter.
+ * @param {string} category - Name of the category.
+ * @param {string} letter - Letter the answers must start with.
+ * @param {string} [language] - BCP 47 tag of the language of the category.
+ * @returns {string[]} - Known answers starting with the letter. Empty if the
+ * category isn't in the dictionary.
+ */
+export function wordsStartingWith(category, letter, language) {
+  return (wordsFor(category, language) ?? []).filter((word) =>
+    startsWithLetter(word, letter)
+  );
+}
+
+/**
+ * Checks whether an answer is known to be valid for a category. Case and
+ * accents are ignored.
+ * @param {string} category - Name of the category.
+ * @param {string} answer - Answer to check.
+ * @param {string} [language] - BCP 47 tag of the language of the category.
+ * @returns {boolean | undefined} - Whether the answer is known, or `undefined`
+ * if the category isn't in the dictionary.
+ */
+export function isKnownAnswer(category, answer, language) {
+  const words = wordsFor(category, language);
+  if (words == undefined) return;
+
+  const key = answerKey(answer);
+  return words.some((word) => answerKey(word) === key);
+}
+
+/**
+ * Hint about the validity of an answer:
+ * - `known`: the answer is in the dictionary.
+ * - `unknown`: the dictionary can't tell whether the answer is valid.
+ * - `wrong-letter`: the answer doesn't start with the round letter.
+ * @typedef {"known" | "unknown" | "wrong-letter"} AnswerHint
+ */
+
+/**
+ * Classifies an answer with the help of the dictionary.
+ * @param {string} category - Name of the category.
+ * @param {string} letter - Letter of the round.
+ * @param {string} answer - Answer to classify.
+ * @param {string} [language] - BCP 47 tag of the language of the category.
+ * @returns {AnswerHint} - Hint about the validity of the answer.
+ */
+export function classifyAnswer(category, letter, answer, language) {
+  if (!startsWithLetter(answer, letter)) return "wrong-letter";
+
+  return isKnownAnswer(category, answer, language) ? "known" : "unknown";
+}
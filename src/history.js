@@ -0,0 +1,84 @@
+import { z } from "zod";
+
+/** Record of a finished round. */
+export const roundRecordSchema = z.object({
+  round: z.number().describe("Number of the round in the match"),
+  letter: z.string().describe("Letter of the round"),
+  stoppedBy: z
+    .optional(z.string())
+    .describe(
+      "Name of the player who stopped the round, if not stopped by time"
+    ),
+  categories: z
+    .array(
+      z.object({
+        category: z.string().describe("Name of the category"),
+        answers: z
+          .array(
+            z.object({
+              player: z.string().describe("Name of the player"),
+              answer: z.string().describe("Answer given by the player"),
+              acceptedBy: z
+                .array(z.string())
+                .describe("Names of the players who accepted the answer"),
+              score: z.number().describe("Score given for the answer"),
+            })
+          )
+          .describe("Answers given to the category"),
+      })
+    )
+    .describe("Answers and scores of each category"),
+  scores: z
+    .record(z.number())
+    .describe("Scores of the players in the round, in name => score pairs"),
+});
+/** @typedef {z.infer<typeof roundRecordSchema>} RoundRecord */
+
+/**
+ * Escapes a value to be used as a CSV field.
+ * @param {string | number} value - Value to escape.
+ * @returns {string} - Escaped value.
+ */
+function escapeCsvField(value) {
+  const text = String(value);
+
+  return /[\n\r",]/.test(text) ? `"${text.split('"').join('""')}"` : text;
+}
+
+/**
+ * Converts a match history to CSV, with one row per answer.
+ * @param {RoundRecord[]} history - Rounds of the match.
+ * @returns {string} - History in CSV format.
+ */
+export function historyToCsv(history) {
+  const rows = [
+    [
+      "round",
+      "letter",
+      "stopped_by",
+      "category",
+      "player",
+      "answer",
+      "accepted_by",
+      "score",
+    ],
+  ];
+
+  for (const record of history)
+    for (const { category, answers } of record.categories)
+      for (const { player, answer, acceptedBy, score } of answers)
+        rows.push([
+          String(record.round),
+          record.letter,
+          record.stoppedBy ?? "",
+          category,
+          player,
+          answer,
+          acceptedBy.join(";"),
+          String(score),
+        ]);
+
+  return rows
+    .map((row) => row.map((field) => escapeCsvField(field)).join(","))
+    .join("\r\n");
+}
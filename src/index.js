@@ -1,9 +1,27 @@
 import express from "express";
+import adminRouter from "./routes/admin.js";
+import healthRouter from "./routes/health.js";
+import metricsRouter from "./routes/metrics.js";
+import categoriesRouter from "./routes/categories.js";
+import protocolRouter from "./routes/protocol.js";
 import roomsRouter from "./routes/rooms.js";
+import sseRouter from "./routes/sse.js";
 import bodyParser from "body-parser";
 import { addJoinHandler } from "./ws/join.js";
+import app from "./app.js";
+import { flushLogs, logger } from "./logger.js";
+import { JsonFileRoomStore } from "./room-store.js";
 
 const PORT = Number.parseInt(process.env["PORT"] || "3000");
+const ROOM_STORE_PATH = process.env["ROOM_STORE_PATH"];
+
+if (!process.env["INVITE_SECRET"])
+  logger.warn(
+    "INVITE_SECRET isn't set, so invites will stop working when the server restarts"
+  );
+
+if (ROOM_STORE_PATH)
+  await app.rooms.useStore(new JsonFileRoomStore(ROOM_STORE_PATH));
 
 const server = express();
 
@@ -19,13 +37,39 @@ server.use((_, response, next) => {
 
   response.setHeader(
     "Access-Control-Allow-Headers",
-    "X-Requested-With,content-type"
+    "X-Requested-With,content-type,X-Room-Password,X-Player-Token,Authorization"
   );
 
   next();
 });
 
+// Fallback for clients that can't open WebSockets, such as those behind
+// proxies that break the upgrade.
+server.use("/rooms/join/sse", sseRouter);
 server.use("/rooms", roomsRouter);
+server.use("/categories", categoriesRouter);
+server.use("/protocol", protocolRouter);
+server.use("/admin", adminRouter);
+server.use("/metrics", metricsRouter);
+server.use(healthRouter);
 
 const httpServer = server.listen(PORT);
 addJoinHandler(httpServer, /^\/?rooms\/join\/?\?/);
+app.ready = true;
+logger.info("Server listening", { port: PORT });
+
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.once(signal, () => {
+    app.ready = false;
+    // Flushing the logs never fails, so there's nothing left to catch.
+    void app.rooms
+      .flush()
+      .catch((/** @type {unknown} */ error) => {
+        logger.error("Couldn't save rooms", { error });
+      })
+      .then(() => flushLogs())
+      .finally(() => {
+        process.exit();
+      });
+  });
+}
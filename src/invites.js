@@ -0,0 +1,78 @@
+import {
+  createHmac,
+  randomBytes,
+  randomUUID,
+  timingSafeEqual,
+} from "node:crypto";
+import { z } from "zod";
+
+/**
+ * Key that invite tokens are signed with. Without `INVITE_SECRET`, a random
+ * key is used and invites stop working when the server restarts.
+ */
+const INVITE_SECRET = process.env["INVITE_SECRET"] || randomBytes(32);
+
+/** Contents of an invite token. */
+export const inviteSchema = z.object({
+  id: z.string().describe("ID of the invite, used to count its uses"),
+  room: z.string().describe("ID of the room that the invite is for"),
+  expiresAt: z
+    .number()
+    .describe("Time when the invite expires, in milliseconds since the epoch"),
+  maxUses: z
+    .number()
+    .int()
+    .describe("Number of times the invite can be used to join"),
+});
+/** @typedef {z.infer<typeof inviteSchema>} Invite */
+
+/**
+ * Signs a payload.
+ * @param {string} payload - Payload to sign.
+ * @returns {Buffer} - Signature of the payload.
+ */
+function sign(payload) {
+  return createHmac("sha256", INVITE_SECRET).update(payload).digest();
+}
+
+/**
+ * Creates a signed invite token.
+ * @param {Omit<Invite, "id">} invite - Room, expiry and usage limit of the
+ * invite.
+ * @returns {{ invite: Invite, token: string }} - Created invite and its token.
+ */
+export function createInviteToken(invite) {
+  const signed = { id: randomUUID(), ...invite };
+  const payload = Buffer.from(JSON.stringify(signed)).toString("base64url");
+
+  return {
+    invite: signed,
+    token: `${payload}.${sign(payload).toString("base64url")}`,
+  };
+}
+
+/**
+ * Reads an invite token, checking its signature. Expiry and usage aren't
+ * checked, as they depend on the room.
+ * @param {string} token - Token to read.
+ * @returns {Invite | undefined} - Invite in the token, or `undefined` if the
+ * token is malformed or wasn't signed by this server.
+ */
+export function readInviteToken(token) {
+  const [payload, signature] = token.split(".");
+  if (payload == undefined || signature == undefined) return;
+
+  const expected = sign(payload);
+  const actual = Buffer.from(signature, "base64url");
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected))
+    return;
+
+  try {
+    const invite = inviteSchema.safeParse(
+      JSON.parse(Buffer.from(payload, "base64url").toString())
+    );
+    return invite.success ? invite.data : undefined;
+  } catch {
+    return;
+  }
+}
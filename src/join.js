@@ -0,0 +1,103 @@
+import { z } from "zod";
+import CloseCodes from "./close-codes.js";
+import app from "./app.js";
+import {
+  SUPPORTED_PROTOCOL_VERSIONS,
+  UNVERSIONED_PROTOCOL_VERSION,
+} from "./protocol.js";
+import { RoomFullError } from "./room.js";
+
+/** Query parameters to join a room, shared by all transports. */
+export const joinQuerySchema = z.object({
+  nickname: z.string(),
+  room_id: z.string(),
+  room_password: z
+    .string()
+    .default("")
+    .describe(
+      "Password of the room. Prefer the `X-Room-Password` header or an invite, which aren't logged with the URL"
+    ),
+  invite: z.optional(z.string()),
+  resume_token: z.optional(z.string()),
+  mode: z.optional(z.union([z.literal("player"), z.literal("spectator")])),
+  protocol_version: z.coerce
+    .number()
+    .int()
+    .default(UNVERSIONED_PROTOCOL_VERSION),
+});
+/** @typedef {z.infer<typeof joinQuerySchema>} JoinQuery */
+
+/**
+ * Joins a room through a transport, as a player, a spectator or a player
+ * resuming their session. If the room can't be joined, the transport is closed
+ * with the reason.
+ * @param {JoinQuery} query - Parameters to join the room.
+ * @param {import("./transport.js").Transport} transport - Transport of the
+ * client joining the room.
+ */
+export async function joinRoom(query, transport) {
+  if (!SUPPORTED_PROTOCOL_VERSIONS.includes(query.protocol_version)) {
+    transport.close(
+      CloseCodes.UNSUPPORTED_PROTOCOL_VERSION,
+      `Unsupported protocol version, use one of: ${SUPPORTED_PROTOCOL_VERSIONS.join(", ")}`
+    );
+    return;
+  }
+
+  const room = app.rooms.get(query.room_id);
+  if (room == undefined) {
+    transport.close(CloseCodes.NO_ROOM_WITH_ID, "No room with the given ID");
+    return;
+  }
+
+  // The resume token is proof enough of access, as players who joined with an
+  // invite may not know the password.
+  if (query.resume_token != undefined) {
+    try {
+      room.reconnectPlayer(query.resume_token, transport);
+    } catch {
+      transport.close(CloseCodes.INVALID_RESUME_TOKEN, "Invalid resume token");
+    }
+    return;
+  }
+
+  // An invite is used instead of the password, so a wrong invite is rejected
+  // even if the room has no password.
+  const invite =
+    query.invite == undefined ? undefined : room.checkInvite(query.invite);
+  if (query.invite != undefined && invite == undefined) {
+    transport.close(CloseCodes.INVALID_INVITE, "Invalid or expired invite");
+    return;
+  }
+
+  if (invite == undefined && !(await room.checkPassword(query.room_password))) {
+    transport.close(CloseCodes.WRONG_ROOM_PASSWORD, "Wrong password");
+    return;
+  }
+
+  // The client may have left while the password was checked, and its
+  // transport won't tell the player about a close that already happened.
+  if (transport.closed) return;
+
+  // The room may have closed while the password was checked.
+  if (room.state === "closed") {
+    transport.close(CloseCodes.NO_ROOM_WITH_ID, "No room with the given ID");
+    return;
+  }
+
+  try {
+    if (query.mode === "spectator")
+      room.addSpectator(query.nickname, transport);
+    else room.addPlayer(query.nickname, transport);
+
+    if (invite != undefined) room.useInvite(invite);
+  } catch (error) {
+    if (error instanceof RoomFullError)
+      transport.close(CloseCodes.ROOM_FULL, "Room is full");
+    else
+      transport.close(
+        CloseCodes.NICKNAME_ALREADY_IN_ROOM,
+        "Name already in use"
+      );
+  }
+}
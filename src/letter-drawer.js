@@ -0,0 +1,148 @@
+import { systemRandom } from "./random.js";
+
+/**
+ * Weights of the letters that are hard to find words for. Other letters have a
+ * weight of 1.
+ * @type {Readonly<Record<string, number>>}
+ */
+const HARD_LETTER_WEIGHTS = { K: 0.25, W: 0.25, X: 0.25, Y: 0.25 };
+
+/** Maximum number of drawn letters to remember. */
+const MAX_HISTORY = 26;
+
+/** Draws round letters following a room's letter drawing policy. */
+export default class LetterDrawer {
+  /** @type {import("./room-settings.js").LetterDrawingSettings} */
+  #settings;
+
+  /**
+   * Letters drawn before, from oldest to newest.
+   * @type {string[]}
+   */
+  #history = [];
+
+  /** @type {import("./random.js").Random} */
+  #random;
+
+  /**
+   * Constructs a new letter drawer.
+   * @param {import("./room-settings.js").LetterDrawingSettings} settings -
+   * Letter drawing policy.
+   * @param {import("./random.js").Random} [random] - Random number source.
+   */
+  constructor(settings, random = systemRandom) {
+    this.#settings = { ...settings };
+    this.#random = random;
+  }
+
+  /**
+   * Gets the letters that can be drawn next.
+   * @param {Iterable<string>} letters - Letters available in the room.
+   * @returns {string[]} - Letters that can be drawn.
+   */
+  #candidates(letters) {
+    const all = [...letters];
+    const [last] = this.#history.slice(-1);
+
+    switch (this.#settings.mode) {
+      case "random": {
+        return all;
+      }
+      case "no-repeat": {
+        const unused = all.filter((letter) => !this.#history.includes(letter));
+        if (unused.length > 0) return unused;
+
+        // Every letter was used, so a new cycle begins. The last letter is
+        // still avoided so it isn't drawn twice in a row.
+        this.#history = [];
+        const fresh = all.filter((letter) => letter !== last);
+        return fresh.length > 0 ? fresh : all;
+      }
+      case "exclude-recent": {
+        const recentCount = Math.min(
+          this.#settings.recentCount,
+          all.length - 1
+        );
+        if (recentCount <= 0) return all;
+
+        const recent = new Set(this.#history.slice(-recentCount));
+        return all.filter((letter) => !recent.has(letter));
+      }
+    }
+  }
+
+  /**
+   * Picks a random letter, taking the letter weights into account.
+   * @param {string[]} candidates - Letters to pick from.
+   * @returns {string} - Picked letter.
+   * @throws {Error} If there are no letters to pick from.
+   */
+  #pick(candidates) {
+    const weights = candidates.map((letter) =>
+      this.#settings.weighted
+        ? HARD_LETTER_WEIGHTS[letter.toUpperCase()] ?? 1
+        : 1
+    );
+
+    let target = this.#random() * weights.reduce((a, b) => a + b, 0);
+    for (const [index, letter] of candidates.entries()) {
+      target -= weights[index] ?? 0;
+      if (target < 0) return letter;
+    }
+
+    const [fallback] = candidates.slice(-1);
+    if (fallback == undefined) throw new Error("No letters to draw from");
+
+    return fallback;
+  }
+
+  /**
+   * Records a drawn letter.
+   * @param {string} letter - Letter that was drawn.
+   */
+  #remember(letter) {
+    this.#history.push(letter);
+    if (this.#history.length > MAX_HISTORY) this.#history.shift();
+  }
+
+  /**
+   * Draws the letter of a new round.
+   * @param {Iterable<string>} letters - Letters available in the room.
+   * @returns {string} - Drawn letter.
+   * @throws {Error} If there are no letters to draw from.
+   */
+  draw(letters) {
+    const letter = this.#pick(this.#candidates(letters));
+    this.#remember(letter);
+
+    return letter;
+  }
+
+  /**
+   * Replaces the last drawn letter with a different one. The replaced letter
+   * doesn't count as drawn.
+   * @param {Iterable<string>} letters - Letters available in the room.
+   * @returns {string} - Drawn letter.
+   * @throws {Error} If there's no other letter to draw.
+   */
+  reroll(letters) {
+    const previous = this.#history.pop();
+
+    // The policy may leave only the replaced letter, in which case any other
+    // letter is accepted.
+    let candidates = this.#candidates(letters).filter(
+      (letter) => letter !== previous
+    );
+    if (candidates.length === 0)
+      candidates = [...letters].filter((letter) => letter !== previous);
+    if (candidates.length === 0) {
+      if (previous != undefined) this.#remember(previous);
+      throw new Error("No other letter to draw");
+    }
+
+    const letter = this.#pick(candidates);
+    this.#remember(letter);
+
+    return letter;
+  }
+}
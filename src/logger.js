@@ -0,0 +1,198 @@
+import { createWriteStream } from "node:fs";
+
+/**
+ * Severity of a log entry.
+ * @typedef {"debug" | "info" | "warn" | "error"} LogLevel
+ */
+
+/**
+ * Values logged with an entry, by name. Errors are logged as their message.
+ * @typedef {Record<string, unknown>} LogFields
+ */
+
+/**
+ * Writes a formatted log line.
+ * @typedef {(line: string) => void} LogSink
+ */
+
+/** Order of the log levels, from least to most severe. */
+const LEVELS = /** @type {const} */ ({
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+});
+
+/**
+ * Checks whether a string is a log level.
+ * @param {string} value - String to check.
+ * @returns {value is LogLevel} - Whether the string is a log level.
+ */
+function isLogLevel(value) {
+  return Object.prototype.hasOwnProperty.call(LEVELS, value);
+}
+
+/**
+ * Writes log entries as JSON lines. Child loggers add fields, such as a room
+ * ID, to every entry they write.
+ */
+export class Logger {
+  /**
+   * Minimum level of the entries that are written.
+   * @type {LogLevel}
+   */
+  #level;
+
+  /** @type {LogSink} */
+  #sink;
+
+  /**
+   * Fields added to every entry.
+   * @type {LogFields}
+   */
+  #fields;
+
+  /**
+   * Constructs a new logger.
+   * @param {object} [options] - Options of the logger.
+   * @param {LogLevel} [options.level] - Minimum level of the entries that are
+   * written.
+   * @param {LogSink} [options.sink] - Where the log lines are written.
+   * Defaults to the standard output.
+   * @param {LogFields} [options.fields] - Fields added to every entry.
+   */
+  constructor({
+    level = "info",
+    sink = (line) => {
+      process.stdout.write(`${line}\n`);
+    },
+    fields = {},
+  } = {}) {
+    this.#level = level;
+    this.#sink = sink;
+    this.#fields = fields;
+  }
+
+  /**
+   * Creates a logger that writes to the same output, adding fields to every
+   * entry.
+   * @param {LogFields} fields - Fields to add.
+   * @returns {Logger} - Child logger.
+   */
+  child(fields) {
+    return new Logger({
+      level: this.#level,
+      sink: this.#sink,
+      fields: { ...this.#fields, ...fields },
+    });
+  }
+
+  /**
+   * Writes an entry if its level is enabled.
+   * @param {LogLevel} level - Level of the entry.
+   * @param {string} message - Message of the entry.
+   * @param {LogFields} fields - Fields of the entry.
+   */
+  #log(level, message, fields) {
+    if (LEVELS[level] < LEVELS[this.#level]) return;
+
+    /** @type {LogFields} */
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      message,
+      ...this.#fields,
+    };
+    for (const [name, value] of Object.entries(fields))
+      entry[name] = value instanceof Error ? value.message : value;
+
+    this.#sink(JSON.stringify(entry));
+  }
+
+  /**
+   * Writes a debug entry.
+   * @param {string} message - Message of the entry.
+   * @param {LogFields} [fields] - Fields of the entry.
+   */
+  debug(message, fields = {}) {
+    this.#log("debug", message, fields);
+  }
+
+  /**
+   * Writes an info entry.
+   * @param {string} message - Message of the entry.
+   * @param {LogFields} [fields] - Fields of the entry.
+   */
+  info(message, fields = {}) {
+    this.#log("info", message, fields);
+  }
+
+  /**
+   * Writes a warning entry.
+   * @param {string} message - Message of the entry.
+   * @param {LogFields} [fields] - Fields of the entry.
+   */
+  warn(message, fields = {}) {
+    this.#log("warn", message, fields);
+  }
+
+  /**
+   * Writes an error entry.
+   * @param {string} message - Message of the entry.
+   * @param {LogFields} [fields] - Fields of the entry.
+   */
+  error(message, fields = {}) {
+    this.#log("error", message, fields);
+  }
+}
+
+/**
+ * Opens the stream for a log output setting. If a file can't be written to,
+ * the lines are written to the standard error instead.
+ * @param {string} output - `stdout`, `stderr` or the path of a file to append
+ * to.
+ * @returns {NodeJS.WritableStream} - Stream writing to the output.
+ */
+function openLogStream(output) {
+  if (output === "stdout") return process.stdout;
+  if (output === "stderr") return process.stderr;
+
+  const stream = createWriteStream(output, { flags: "a" });
+  stream.on("error", (error) => {
+    logStream = process.stderr;
+    logger.error(
+      "Couldn't write to the log file, logging to the standard error instead",
+      { file: output, error }
+    );
+  });
+
+  return stream;
+}
+
+const LOG_LEVEL = process.env["LOG_LEVEL"] || "info";
+const LOG_OUTPUT = process.env["LOG_OUTPUT"] || "stdout";
+
+/** Stream that the server logger writes to. */
+let logStream = openLogStream(LOG_OUTPUT);
+
+/** Logger of the server, configured by `LOG_LEVEL` and `LOG_OUTPUT`. */
+export const logger = new Logger({
+  level: isLogLevel(LOG_LEVEL) ? LOG_LEVEL : "info",
+  sink: (line) => {
+    logStream.write(`${line}\n`);
+  },
+});
+
+/**
+ * Waits until the lines logged by the server logger are written, so they
+ * aren't lost when the process exits.
+ * @returns {Promise<void>} - Resolves once the lines are written, or couldn't
+ * be.
+ */
+export function flushLogs() {
+  return new Promise((resolve) => {
+    logStream.write("", () => {
+      resolve();
+    });
+  });
+}
@@ -0,0 +1,289 @@
+import app from "./app.js";
+
+/**
+ * Values of the labels of a metric sample, by label name.
+ * @typedef {Record<string, string>} Labels
+ */
+
+/**
+ * Metric that can be rendered in the Prometheus text format.
+ * @typedef {object} Metric
+ * @property {() => string} render - Renders the metric, with its help and type
+ * lines.
+ */
+
+/**
+ * Renders the labels of a sample, escaping their values.
+ * @param {Labels} labels - Labels of the sample.
+ * @returns {string} - Labels in braces, or an empty string if there are none.
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+
+  const formatted = entries.map(
+    ([name, value]) =>
+      `${name}="${value.replaceAll(/[\n"\\]/g, (char) => (char === "\n" ? "\\n" : `\\${char}`))}"`
+  );
+  return `{${formatted.join(",")}}`;
+}
+
+/**
+ * Renders the help and type lines of a metric.
+ * @param {string} name - Name of the metric.
+ * @param {string} help - Description of the metric.
+ * @param {"counter" | "gauge" | "histogram"} type - Type of the metric.
+ * @returns {string} - Header lines of the metric.
+ */
+function header(name, help, type) {
+  return `# HELP ${name} ${help}\n# TYPE ${name} ${type}\n`;
+}
+
+/**
+ * Value that only goes up, kept separately for each set of labels.
+ * @implements {Metric}
+ */
+export class Counter {
+  /** @type {string} */
+  #name;
+
+  /** @type {string} */
+  #help;
+
+  /**
+   * Value of each set of labels, keyed by the rendered labels.
+   * @type {Map<string, number>}
+   */
+  #values = new Map();
+
+  /**
+   * Constructs a new counter.
+   * @param {string} name - Name of the metric.
+   * @param {string} help - Description of the metric.
+   * @param {object} [options] - Options of the counter.
+   * @param {boolean} [options.labeled] - Whether the samples have labels.
+   * Counters without labels are exported from zero.
+   */
+  constructor(name, help, { labeled = false } = {}) {
+    this.#name = name;
+    this.#help = help;
+
+    if (!labeled) this.#values.set("", 0);
+  }
+
+  /**
+   * Increments the counter.
+   * @param {Labels} [labels] - Labels of the incremented sample.
+   * @param {number} [value] - Amount to add.
+   */
+  inc(labels = {}, value = 1) {
+    const key = formatLabels(labels);
+    this.#values.set(key, (this.#values.get(key) ?? 0) + value);
+  }
+
+  /** @returns {string} - Metric in the Prometheus text format. */
+  render() {
+    let text = header(this.#name, this.#help, "counter");
+    for (const [labels, value] of this.#values)
+      text += `${this.#name}${labels} ${value}\n`;
+
+    return text;
+  }
+}
+
+/**
+ * Value measured when the metrics are collected.
+ * @implements {Metric}
+ */
+export class Gauge {
+  /** @type {string} */
+  #name;
+
+  /** @type {string} */
+  #help;
+
+  /** @type {() => [Labels, number][]} */
+  #measure;
+
+  /**
+   * Constructs a new gauge.
+   * @param {string} name - Name of the metric.
+   * @param {string} help - Description of the metric.
+   * @param {() => [Labels, number][]} measure - Measures the current value of
+   * each set of labels.
+   */
+  constructor(name, help, measure) {
+    this.#name = name;
+    this.#help = help;
+    this.#measure = measure;
+  }
+
+  /** @returns {string} - Metric in the Prometheus text format. */
+  render() {
+    let text = header(this.#name, this.#help, "gauge");
+    for (const [labels, value] of this.#measure())
+      text += `${this.#name}${formatLabels(labels)} ${value}\n`;
+
+    return text;
+  }
+}
+
+/**
+ * Distribution of observed values in cumulative buckets.
+ * @implements {Metric}
+ */
+export class Histogram {
+  /** @type {string} */
+  #name;
+
+  /** @type {string} */
+  #help;
+
+  /**
+   * Upper bounds of the buckets, in increasing order.
+   * @type {number[]}
+   */
+  #bounds;
+
+  /**
+   * Number of observations in each bucket, not cumulative.
+   * @type {number[]}
+   */
+  #counts;
+
+  /** @type {number} */
+  #sum = 0;
+
+  /** @type {number} */
+  #count = 0;
+
+  /**
+   * Constructs a new histogram.
+   * @param {string} name - Name of the metric.
+   * @param {string} help - Description of the metric.
+   * @param {number[]} bounds - Upper bounds of the buckets, in increasing
+   * order.
+   */
+  constructor(name, help, bounds) {
+    this.#name = name;
+    this.#help = help;
+    this.#bounds = bounds;
+    this.#counts = bounds.map(() => 0);
+  }
+
+  /**
+   * Records an observation.
+   * @param {number} value - Observed value.
+   */
+  observe(value) {
+    const bucket = this.#bounds.findIndex((bound) => value <= bound);
+    if (bucket !== -1) this.#counts[bucket] = (this.#counts[bucket] ?? 0) + 1;
+
+    this.#sum += value;
+    ++this.#count;
+  }
+
+  /** @returns {string} - Metric in the Prometheus text format. */
+  render() {
+    let text = header(this.#name, this.#help, "histogram");
+
+    let cumulative = 0;
+    for (const [index, bound] of this.#bounds.entries()) {
+      cumulative += this.#counts[index] ?? 0;
+      text += `${this.#name}_bucket{le="${bound}"} ${cumulative}\n`;
+    }
+    text += `${this.#name}_bucket{le="+Inf"} ${this.#count}\n`;
+    text += `${this.#name}_sum ${this.#sum}\n`;
+    text += `${this.#name}_count ${this.#count}\n`;
+
+    return text;
+  }
+}
+
+/** Messages received from players, by type. Bots aren't counted. */
+export const messagesReceived = new Counter(
+  "stop_messages_received_total",
+  "Messages received from players and spectators, by type, not counting bots",
+  { labeled: true }
+);
+
+/** Messages sent to players, by type. Bots aren't counted. */
+export const messagesSent = new Counter(
+  "stop_messages_sent_total",
+  "Messages sent to players and spectators, by type, not counting bots",
+  { labeled: true }
+);
+
+/** Connections closed for sending malformed messages. */
+export const malformedMessageCloses = new Counter(
+  "stop_malformed_message_closes_total",
+  "Connections closed for sending malformed messages"
+);
+
+/** Rounds whose letter was revealed. */
+export const roundsStarted = new Counter(
+  "stop_rounds_started_total",
+  "Rounds whose letter was revealed"
+);
+
+/** Rounds whose voting ended. */
+export const roundsCompleted = new Counter(
+  "stop_rounds_completed_total",
+  "Rounds whose voting ended"
+);
+
+/** Rounds stopped, by whether a player or the timer stopped them. */
+export const roundStops = new Counter(
+  "stop_round_stops_total",
+  "Rounds stopped, by trigger: player requests or automatic timeouts",
+  { labeled: true }
+);
+
+/** Duration of the voting phase of the rounds. */
+export const votePhaseDuration = new Histogram(
+  "stop_vote_phase_duration_seconds",
+  "Duration of the voting phase of the rounds, in seconds",
+  [5, 10, 20, 30, 45, 60, 90, 120, 180, 300, 600]
+);
+
+/** @type {Metric[]} */
+const metrics = [
+  new Gauge("stop_rooms", "Rooms by state", () => {
+    /** @type {Map<string, number>} */
+    const counts = new Map();
+    for (const room of app.rooms.list())
+      counts.set(room.state, (counts.get(room.state) ?? 0) + 1);
+
+    return [...counts].map(([state, count]) => [{ state }, count]);
+  }),
+  new Gauge(
+    "stop_connected_players",
+    "Connected players, by role: player, spectator or bot",
+    () => {
+      const counts = { player: 0, spectator: 0, bot: 0 };
+      for (const room of app.rooms.list()) {
+        for (const player of room.players)
+          if (player.connected) ++counts[player.bot ? "bot" : "player"];
+        for (const spectator of room.spectators)
+          if (spectator.connected) ++counts.spectator;
+      }
+
+      return Object.entries(counts).map(([role, count]) => [{ role }, count]);
+    }
+  ),
+  messagesReceived,
+  messagesSent,
+  malformedMessageCloses,
+  roundsStarted,
+  roundsCompleted,
+  roundStops,
+  votePhaseDuration,
+];
+
+/**
+ * Renders every metric of the server.
+ * @returns {string} - Metrics in the Prometheus text format.
+ */
+export function renderMetrics() {
+  return metrics.map((metric) => metric.render()).join("");
+}
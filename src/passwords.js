@@ -0,0 +1,64 @@
+import { randomBytes, scrypt, timingSafeEqual } from "node:crypto";
+
+/** Length of the password salts, in bytes. */
+const SALT_LENGTH = 16;
+
+/** Length of the password hashes, in bytes. */
+const HASH_LENGTH = 32;
+
+/**
+ * Derives a key from a password with scrypt, in the thread pool so the event
+ * loop isn't blocked.
+ * @param {string} password - Password to derive the key from.
+ * @param {Buffer} salt - Salt of the key.
+ * @param {number} length - Length of the key, in bytes.
+ * @returns {Promise<Buffer>} - Derived key.
+ */
+function deriveKey(password, salt, length) {
+  return new Promise((resolve, reject) => {
+    scrypt(password, salt, length, (error, key) => {
+      if (error) reject(error);
+      else resolve(key);
+    });
+  });
+}
+
+/**
+ * Hashes a password with scrypt and a random salt. Empty passwords, which mean
+ * that a room has no password, hash to an empty string.
+ * @param {string} password - Password to hash.
+ * @returns {Promise<string>} - Salt and hash of the password, as
+ * `scrypt:salt:hash` in base64.
+ */
+export async function hashPassword(password) {
+  if (password === "") return "";
+
+  const salt = randomBytes(SALT_LENGTH);
+  const hash = await deriveKey(password, salt, HASH_LENGTH);
+
+  return `scrypt:${salt.toString("base64")}:${hash.toString("base64")}`;
+}
+
+/**
+ * Checks a password against a hash from {@link hashPassword}, taking the same
+ * time wherever the password differs.
+ * @param {string} password - Password to check.
+ * @param {string} passwordHash - Hash to check the password against.
+ * @returns {Promise<boolean>} - Whether the password matches the hash.
+ */
+export async function verifyPassword(password, passwordHash) {
+  if (passwordHash === "") return password === "";
+
+  const [scheme, salt, hash] = passwordHash.split(":");
+  if (scheme !== "scrypt" || salt == undefined || hash == undefined)
+    return false;
+
+  const expected = Buffer.from(hash, "base64");
+  const actual = await deriveKey(
+    password,
+    Buffer.from(salt, "base64"),
+    expected.length
+  );
+
+  return timingSafeEqual(actual, expected);
+}
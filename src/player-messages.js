@@ -1,18 +1,76 @@
 import { z } from "zod";
+import { MAX_ANSWER_LENGTH } from "./answers.js";
+import { botSettingsSchema } from "./bot.js";
+import { roundRecordSchema } from "./history.js";
+import { roomSettingsSchema, timingsSchema } from "./room-settings.js";
 
 /** Message sent when a player has joined the room. */
 export const playerJoinedSchema = z.object({
   type: z.literal("player-joined"),
   content: z.object({
     name: z.string().describe("Name of the player who joined"),
+    bot: z.boolean().describe("Whether the player is a bot"),
   }),
 });
 /** @typedef {z.infer<typeof playerJoinedSchema>} PlayerJoinedMessage */
 
+/**
+ * Message sent when a player lost their connection. The player is kept in the
+ * room for a while so they can reconnect.
+ */
+export const playerDisconnectedSchema = z.object({
+  type: z.literal("player-disconnected"),
+  content: z.object({
+    name: z.string().describe("Name of the player who disconnected"),
+  }),
+});
+/** @typedef {z.infer<typeof playerDisconnectedSchema>} PlayerDisconnectedMessage */
+
+/** Message sent when a disconnected player has reconnected to the room. */
+export const playerReconnectedSchema = z.object({
+  type: z.literal("player-reconnected"),
+  content: z.object({
+    name: z.string().describe("Name of the player who reconnected"),
+  }),
+});
+/** @typedef {z.infer<typeof playerReconnectedSchema>} PlayerReconnectedMessage */
+
+/**
+ * Message sent to give the player a token to resume their session if their
+ * connection drops.
+ */
+export const resumeTokenSchema = z.object({
+  type: z.literal("resume-token"),
+  content: z.object({
+    token: z.string().describe("Token to send when reconnecting"),
+    gracePeriod: z
+      .number()
+      .describe(
+        "Time the player has to reconnect after disconnecting, in milliseconds"
+      ),
+  }),
+});
+/** @typedef {z.infer<typeof resumeTokenSchema>} ResumeTokenMessage */
+
+/** Message sent when a spectator has joined the room. */
+export const spectatorJoinedSchema = z.object({
+  type: z.literal("spectator-joined"),
+  content: z.object({
+    name: z.string().describe("Name of the spectator who joined"),
+  }),
+});
+/** @typedef {z.infer<typeof spectatorJoinedSchema>} SpectatorJoinedMessage */
+
 /** Message sent to tell the player who is in the room when they join. */
 export const roomPlayersSchema = z.object({
   type: z.literal("room-players"),
-  content: z.array(z.string()).describe("List of players in the room"),
+  content: z.object({
+    players: z.array(z.string()).describe("List of players in the room"),
+    bots: z
+      .array(z.string())
+      .describe("List of the players in the room that are bots"),
+    spectators: z.array(z.string()).describe("List of spectators in the room"),
+  }),
 });
 /** @typedef {z.infer<typeof roomPlayersSchema>} RoomPlayersMessage */
 
@@ -23,6 +81,32 @@ export const roomCategoriesSchema = z.object({
 });
 /** @typedef {z.infer<typeof roomCategoriesSchema>} RoomCategoriesMessage */
 
+/** Message sent to tell the player what timings are used in the room. */
+export const roomTimingsSchema = z.object({
+  type: z.literal("room-timings"),
+  content: timingsSchema.describe("Timings of the room"),
+});
+/** @typedef {z.infer<typeof roomTimingsSchema>} RoomTimingsMessage */
+
+/**
+ * Message sent to tell the player the settings of the room, both when they
+ * join and when the host changes them.
+ */
+export const roomSettingsMessageSchema = z.object({
+  type: z.literal("room-settings"),
+  content: roomSettingsSchema.describe("Settings of the room"),
+});
+/** @typedef {z.infer<typeof roomSettingsMessageSchema>} RoomSettingsMessage */
+
+/** Message sent to tell the player who is the host of the room. */
+export const hostChangedSchema = z.object({
+  type: z.literal("host-changed"),
+  content: z.object({
+    name: z.string().describe("Name of the new host"),
+  }),
+});
+/** @typedef {z.infer<typeof hostChangedSchema>} HostChangedMessage */
+
 /** Message sent when the round is starting. */
 export const roundStartingSchema = z.object({
   type: z.literal("round-starting"),
@@ -39,6 +123,19 @@ export const roundStartedSchema = z.object({
 });
 /** @typedef {z.infer<typeof roundStartedSchema>} RoundStartedMessage */
 
+/**
+ * Message sent when the host re-rolled the letter of the round. Answers are
+ * cleared and the answering period starts over.
+ */
+export const letterRerolledSchema = z.object({
+  type: z.literal("letter-rerolled"),
+  content: z.object({
+    letter: z.string().describe("New letter of the round"),
+    duration: z.number().describe("Duration of the round, in milliseconds"),
+  }),
+});
+/** @typedef {z.infer<typeof letterRerolledSchema>} LetterRerolledMessage */
+
 /**
  * Message sent when the round begins stopping. Interaction should be blocked
  * and final answers should be submitted to the server immediately.
@@ -59,12 +156,61 @@ export const stopAvailableSchema = z.object({
 });
 /** @typedef {z.infer<typeof stopAvailableSchema>} StopAvailableMessage */
 
+/**
+ * Message sent when an answer of the player wasn't saved. The previous answer
+ * to the category, if any, is kept.
+ */
+export const answerRejectedSchema = z.object({
+  type: z.literal("answer-rejected"),
+  content: z.object({
+    category: z.string().describe("Category of the answer"),
+    answer: z.string().describe("Answer as sent by the player"),
+    reason: z
+      .union([
+        z.literal("not-answering").describe("Round isn't being answered"),
+        z.literal("unknown-category").describe("Category isn't in the room"),
+        z
+          .literal("too-long")
+          .describe(`Answer is longer than ${MAX_ANSWER_LENGTH} characters`),
+      ])
+      .describe("Reason for the rejection"),
+  }),
+});
+/** @typedef {z.infer<typeof answerRejectedSchema>} AnswerRejectedMessage */
+
 /** Message sent when a category vote has started. */
 export const categoryVoteStartedSchema = z.object({
   type: z.literal("category-vote-started"),
   content: z.object({
     category: z.string().describe("Category to vote in"),
     answers: z.array(z.string()).describe("Answers to vote for"),
+    hints: z
+      .optional(
+        z.array(
+          z.object({
+            answer: z.string().describe("Answer as given by a player"),
+            hint: z
+              .union([
+                z.literal("known").describe("Answer is in the dictionary"),
+                z
+                  .literal("unknown")
+                  .describe("Dictionary can't tell if the answer is valid"),
+                z
+                  .literal("wrong-letter")
+                  .describe(
+                    "Answer doesn't start with the letter and is always invalid"
+                  ),
+              ])
+              .describe("Hint about the validity of the answer"),
+            autoAccepted: z
+              .boolean()
+              .describe("Whether the answer is accepted regardless of votes"),
+          })
+        )
+      )
+      .describe(
+        "Dictionary hints for every answer given, including those that aren't voted on. Absent if hints are disabled"
+      ),
     duration: z
       .number()
       .describe("Duration of the voting period, in milliseconds"),
@@ -72,17 +218,132 @@ export const categoryVoteStartedSchema = z.object({
 });
 /** @typedef {z.infer<typeof categoryVoteStartedSchema>} CategoryVoteStartedMessage */
 
+/**
+ * Message sent when a vote of the player wasn't counted because its category
+ * isn't open for voting.
+ */
+export const voteRejectedSchema = z.object({
+  type: z.literal("vote-rejected"),
+  content: z.object({
+    category: z.string().describe("Category of the answer being voted"),
+    answer: z.string().describe("Answer being voted"),
+  }),
+});
+/** @typedef {z.infer<typeof voteRejectedSchema>} VoteRejectedMessage */
+
 /** Message sent when voting has ended. */
 export const votingEndedSchema = z.object({
   type: z.literal("voting-ended"),
   content: z.object({
+    round: z.number().describe("Number of the round in the match"),
     scores: z
       .record(z.number())
       .describe("Scores of the players after voting, in name => score pairs"),
+    totals: z
+      .record(z.number())
+      .describe(
+        "Cumulative scores of the players in the match, in name => score pairs"
+      ),
   }),
 });
 /** @typedef {z.infer<typeof votingEndedSchema>} VotingEndedMessage */
 
+/** Message sent when the match has ended, with the final standings. */
+export const matchEndedSchema = z.object({
+  type: z.literal("match-ended"),
+  content: z.object({
+    rounds: z.number().describe("Number of rounds played in the match"),
+    standings: z
+      .array(
+        z.object({
+          name: z.string().describe("Name of the player"),
+          score: z.number().describe("Cumulative score of the player"),
+        })
+      )
+      .describe("Players sorted from highest to lowest score"),
+    history: z
+      .array(roundRecordSchema)
+      .describe("Letter, answers, votes and scores of each round played"),
+  }),
+});
+/** @typedef {z.infer<typeof matchEndedSchema>} MatchEndedMessage */
+
+/**
+ * Message sent to tell the player what is happening in the room when they join
+ * or resume their session, so they can catch up with a round in progress.
+ */
+export const roomStateSchema = z.object({
+  type: z.literal("room-state"),
+  content: z.object({
+    state: z
+      .union([
+        z.literal("lobby").describe("Room is in the pre-game lobby"),
+        z.literal("round-starting").describe("Round is about to start"),
+        z.literal("round-answering").describe("Round is being answered"),
+        z
+          .literal("round-answering-stopping")
+          .describe("Round is stopping and the last answers are coming in"),
+        z.literal("voting").describe("Answers are being voted on"),
+        z
+          .literal("leaderboard")
+          .describe("Scores of the last round are being shown"),
+        z.literal("closed").describe("Room was closed"),
+      ])
+      .describe("Current phase of the room"),
+    round: z
+      .number()
+      .describe(
+        "Number of the current or last round in the match, 0 if none was played"
+      ),
+    letter: z
+      .optional(z.string())
+      .describe(
+        "Letter of the current or last round. Absent in the lobby and while the round is starting"
+      ),
+    timeLeft: z
+      .optional(z.number())
+      .describe(
+        "Time left in the current phase, in milliseconds. While voting, time left until the voting moves on to the next category. Absent in the lobby and on the leaderboard"
+      ),
+    stopAvailable: z
+      .optional(z.boolean())
+      .describe(
+        "Whether requesting a stop is available. Only present while the round is being answered"
+      ),
+    answers: z
+      .record(z.string())
+      .describe(
+        "Answers of the player in the current or last round, in category => answer pairs"
+      ),
+    vote: z
+      .optional(
+        categoryVoteStartedSchema.shape.content.extend({
+          accepted: z
+            .optional(z.array(z.string()))
+            .describe("Answers accepted by the player. Absent for spectators"),
+        })
+      )
+      .describe(
+        "Category open for voting, as sent when its vote started. Absent if no category is open"
+      ),
+    totals: votingEndedSchema.shape.content.shape.totals,
+  }),
+});
+/** @typedef {z.infer<typeof roomStateSchema>} RoomStateMessage */
+
+/** Message sent when someone in the room sent a chat message. */
+export const chatMessageSchema = z.object({
+  type: z.literal("chat"),
+  content: z.object({
+    name: z.string().describe("Name of the sender"),
+    spectator: z.boolean().describe("Whether the sender is a spectator"),
+    text: z
+      .string()
+      .describe("Text of the message, with blocked words censored"),
+  }),
+});
+/** @typedef {z.infer<typeof chatMessageSchema>} ChatMessage */
+
 /** Message sent when a player has been removed from a room. */
 export const playerRemovedSchema = z.object({
   type: z.literal("player-removed"),
@@ -93,24 +354,69 @@ export const playerRemovedSchema = z.object({
         z.literal("room-closed").describe("Room was closed"),
         z.literal("left").describe("Player left the room"),
         z.literal("timed-out").describe("Player timed out"),
+        z
+          .literal("kicked")
+          .describe("Player was kicked by the host or by the server operators"),
       ])
       .describe("Reason for the removal"),
   }),
 });
 /** @typedef {z.infer<typeof playerRemovedSchema>} PlayerRemovedMessage */
 
+/** Message sent when a spectator has been removed from a room. */
+export const spectatorRemovedSchema = z.object({
+  type: z.literal("spectator-removed"),
+  content: z.object({
+    name: z.string().describe("Name of the spectator who was removed"),
+    reason: playerRemovedSchema.shape.content.shape.reason,
+  }),
+});
+/** @typedef {z.infer<typeof spectatorRemovedSchema>} SpectatorRemovedMessage */
+
+/** Message sent when the server operators have something to tell the room. */
+export const noticeSchema = z.object({
+  type: z.literal("notice"),
+  content: z.object({
+    kind: z
+      .union([
+        z.literal("maintenance").describe("Notice sent to every room"),
+        z
+          .literal("room-closed")
+          .describe("The room is being closed, right after this notice"),
+      ])
+      .describe("Kind of the notice"),
+    text: z.string().describe("Text of the notice"),
+  }),
+});
+/** @typedef {z.infer<typeof noticeSchema>} NoticeMessage */
+
 /** A message that can be sent to a player through WebSocket. */
 export const toPlayerMessageSchema = z.union([
   playerJoinedSchema,
+  playerDisconnectedSchema,
+  playerReconnectedSchema,
+  resumeTokenSchema,
+  spectatorJoinedSchema,
   roomPlayersSchema,
   roomCategoriesSchema,
+  roomTimingsSchema,
+  roomSettingsMessageSchema,
+  hostChangedSchema,
   roundStartingSchema,
   roundStartedSchema,
+  letterRerolledSchema,
   roundStoppingSchema,
   stopAvailableSchema,
+  answerRejectedSchema,
   categoryVoteStartedSchema,
+  voteRejectedSchema,
   votingEndedSchema,
+  matchEndedSchema,
+  roomStateSchema,
+  chatMessageSchema,
   playerRemovedSchema,
+  spectatorRemovedSchema,
+  noticeSchema,
 ]);
 /** @typedef {z.infer<typeof toPlayerMessageSchema>} ToPlayerMessage */
 
@@ -126,6 +432,12 @@ export const startRoundSchema = z.object({
 });
 /** @typedef {z.infer<typeof startRoundSchema>} StartRoundMessage */
 
+/** Message received when the host wants to draw another letter. */
+export const rerollLetterSchema = z.object({
+  type: z.literal("reroll-letter"),
+});
+/** @typedef {z.infer<typeof rerollLetterSchema>} RerollLetterMessage */
+
 /** Message received when the player requests a stop. */
 export const stopRequestSchema = z.object({
   type: z.literal("stop-round"),
@@ -146,6 +458,7 @@ export const changeAnswerSchema = z.object({
 export const changeAnswerVoteSchema = z.object({
   type: z.literal("change-answer-vote"),
   content: z.object({
+    category: z.string().describe("Category of the answer being voted"),
     answer: z.string().describe("Answer being voted"),
     accepted: z
       .boolean()
@@ -154,6 +467,52 @@ export const changeAnswerVoteSchema = z.object({
 });
 /** @typedef {z.infer<typeof changeAnswerVoteSchema>} ChangeAnswerVoteMessage */
 
+/** Message received when the host wants to kick a player from the room. */
+export const kickPlayerSchema = z.object({
+  type: z.literal("kick-player"),
+  content: z.object({
+    name: z.string().describe("Name of the player to kick"),
+  }),
+});
+/** @typedef {z.infer<typeof kickPlayerSchema>} KickPlayerMessage */
+
+/** Message received when the host wants to make another player the host. */
+export const transferHostSchema = z.object({
+  type: z.literal("transfer-host"),
+  content: z.object({
+    name: z.string().describe("Name of the player to make the host"),
+  }),
+});
+/** @typedef {z.infer<typeof transferHostSchema>} TransferHostMessage */
+
+/** Message received when the host wants to add a bot to the room. */
+export const addBotSchema = z.object({
+  type: z.literal("add-bot"),
+  content: botSettingsSchema,
+});
+/** @typedef {z.infer<typeof addBotSchema>} AddBotMessage */
+
+/** Message received when the host wants to remove a bot from the room. */
+export const removeBotSchema = z.object({
+  type: z.literal("remove-bot"),
+  content: z.object({
+    name: z.string().describe("Name of the bot to remove"),
+  }),
+});
+/** @typedef {z.infer<typeof removeBotSchema>} RemoveBotMessage */
+
+/**
+ * Message received when the player sends a chat message. Chat is blocked while
+ * the round is being answered.
+ */
+export const sendChatSchema = z.object({
+  type: z.literal("chat"),
+  content: z.object({
+    text: z.string().describe("Text of the message"),
+  }),
+});
+/** @typedef {z.infer<typeof sendChatSchema>} SendChatMessage */
+
 /** Message received when the player wants to leave the room. */
 export const leaveRoomSchema = z.object({
   type: z.literal("leave-room"),
@@ -164,9 +523,15 @@ export const leaveRoomSchema = z.object({
 export const fromPlayerMessageSchema = z.union([
   heartbeatSchema,
   startRoundSchema,
+  rerollLetterSchema,
   stopRequestSchema,
   changeAnswerSchema,
   changeAnswerVoteSchema,
+  kickPlayerSchema,
+  transferHostSchema,
+  addBotSchema,
+  removeBotSchema,
+  sendChatSchema,
   leaveRoomSchema,
 ]);
 /** @typedef {z.infer<typeof fromPlayerMessageSchema>} FromPlayerMessage */
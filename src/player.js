@@ -1,10 +1,34 @@
+import { randomUUID } from "node:crypto";
+import { MAX_ANSWER_LENGTH, normalizeAnswer } from "./answers.js";
+import { CHAT_RATE_LIMIT, CHAT_RATE_WINDOW } from "./chat.js";
 import CloseCodes from "./close-codes.js";
+import {
+  malformedMessageCloses,
+  messagesReceived,
+  messagesSent,
+} from "./metrics.js";
 import { fromPlayerMessageSchema } from "./player-messages.js";
+import RateLimiter from "./rate-limiter.js";
+
+/** Maximum number of messages a connection can send in the rate window. */
+const MESSAGE_RATE_LIMIT = 50;
+
+/** Length of the message rate window, in milliseconds. */
+const MESSAGE_RATE_WINDOW = 5e3;
+
+/** Types of messages that spectators are allowed to send. */
+const SPECTATOR_MESSAGE_TYPES = new Set(["heartbeat", "chat", "leave-room"]);
 
 export default class Player {
-  /** @type {NodeJS.Timeout | undefined} */
+  /** @type {import("./clock.js").Timer | undefined} */
   #inactivityTimeout;
 
+  /**
+   * Timeout to remove the player if they don't reconnect in time.
+   * @type {import("./clock.js").Timer | undefined}
+   */
+  #reconnectTimeout;
+
   /**
    * Room that the player is in.
    * @type {import("./room.js").default}
@@ -18,12 +42,51 @@ export default class Player {
   #name;
 
   /**
-   * WebSocket to communicate with the player client.
-   * Don't close this websocket manually, it will be closed when a player
+   * Secret token that allows the player to resume their session.
+   * @type {string}
+   */
+  #resumeToken = randomUUID();
+
+  /**
+   * Whether the player was removed from the room.
+   * @type {boolean}
+   */
+  #removed = false;
+
+  /**
+   * Logger bound to the room and the name of the player.
+   * @type {import("./logger.js").Logger}
+   */
+  #logger;
+
+  /**
+   * Limits how often the player can send chat messages.
+   * @type {RateLimiter}
+   */
+  #chatLimiter;
+
+  /**
+   * Transport to communicate with the player client, or `undefined` if the
+   * player is disconnected.
+   * Don't close this transport manually, it will be closed when a player
    * removal message is sent to the player.
-   * @type {import("ws").WebSocket}
+   * @type {import("./transport.js").Transport | undefined}
+   */
+  #transport;
+
+  /**
+   * Whether the player only watches the room, without playing.
+   * @type {boolean}
+   * @readonly
+   */
+  spectator;
+
+  /**
+   * Whether the player is a bot played by the server.
+   * @type {boolean}
+   * @readonly
    */
-  #ws;
+  bot;
 
   /**
    * Answers from the player client.
@@ -32,51 +95,136 @@ export default class Player {
   answers = new Map();
 
   /**
-   * Votes for the player client.
-   * @type {Set<string>}
+   * Votes of the player client in the current round, as the accepted answers
+   * of each category.
+   * @type {Map<string, Set<string>>}
+   */
+  votes = new Map();
+
+  /**
+   * Category currently open for voting, if any.
+   * @type {string | undefined}
    */
-  votes = new Set();
+  #votingCategory;
 
   /** @returns {string} - Nickname of the player. */
   get name() {
     return this.#name;
   }
 
+  /** @returns {string} - Token that allows the player to resume the session. */
+  get resumeToken() {
+    return this.#resumeToken;
+  }
+
+  /** @returns {boolean} - Whether the player is currently connected. */
+  get connected() {
+    return this.#transport != undefined;
+  }
+
   /**
    * Constructs a new player.
    * @param {string} name - Name of the player.
    * @param {import("./room.js").default} room - Room that the player was added to.
-   * @param {import("ws").WebSocket} ws - WebSocket of the player.
+   * @param {import("./transport.js").Transport | undefined} transport -
+   * Transport of the player, or `undefined` if the player starts disconnected.
+   * @param {object} [options] - Kind of player.
+   * @param {boolean} [options.spectator] - Whether the player is a spectator.
+   * @param {boolean} [options.bot] - Whether the player is a bot.
    */
-  constructor(name, room, ws) {
+  constructor(name, room, transport, { spectator = false, bot = false } = {}) {
     this.#name = name;
     this.#room = room;
-    this.#ws = ws;
+    this.spectator = spectator;
+    this.bot = bot;
+    this.#logger = room.logger.child({ player: name, spectator, bot });
+    this.#chatLimiter = new RateLimiter(
+      CHAT_RATE_LIMIT,
+      CHAT_RATE_WINDOW,
+      room.clock
+    );
+
+    if (transport == undefined) this.#startReconnectTimeout();
+    else this.#attach(transport);
+  }
+
+  /**
+   * Recreates a player from a saved room. The player starts disconnected and
+   * must resume their session with the same token.
+   * @param {string} name - Name of the player.
+   * @param {import("./room.js").default} room - Room that the player is in.
+   * @param {string} resumeToken - Resume token of the player.
+   * @returns {Player} - Restored player.
+   */
+  static restore(name, room, resumeToken) {
+    const player = new Player(name, room, undefined);
+    player.#resumeToken = resumeToken;
+
+    return player;
+  }
+
+  /**
+   * Binds a transport to the player, making it the player's connection.
+   * Events from previously bound transports are ignored.
+   * @param {import("./transport.js").Transport} transport - Transport to bind.
+   */
+  #attach(transport) {
+    this.#transport = transport;
 
     this.#resetInactivityTimeout();
 
-    this.#ws.on("message", (rawData) => {
-      let data;
-      try {
-        data = fromPlayerMessageSchema.safeParse(
-          // eslint-disable-next-line @typescript-eslint/no-base-to-string
-          JSON.parse(rawData.toString())
-        );
-      } catch {
-        this.#ws.close(1008, "Couldn't parse message");
+    // Each connection gets its own limit, so a flood closes only the
+    // connection and the player can still resume their session.
+    const messageLimiter = new RateLimiter(
+      MESSAGE_RATE_LIMIT,
+      MESSAGE_RATE_WINDOW,
+      this.#room.clock
+    );
+
+    transport.onMessage((rawData) => {
+      if (transport !== this.#transport) return;
+
+      if (!messageLimiter.tryAcquire()) {
+        this.#logger.warn("Closing connection that sent too many messages");
+        transport.close(CloseCodes.RATE_LIMITED, "Too many messages");
         return;
       }
+
+      const data = fromPlayerMessageSchema.safeParse(rawData);
       if (!data.success) {
-        this.#ws.close(1008, `Malformed message: ${data.error.message}`);
+        malformedMessageCloses.inc();
+        this.#logger.warn("Closing connection that sent a malformed message", {
+          error: data.error.message,
+        });
+        // Close reasons are limited to 123 bytes, so the details are only
+        // logged.
+        transport.close(1008, "Malformed message");
+        return;
+      }
+
+      if (!this.bot) messagesReceived.inc({ type: data.data.type });
+
+      if (this.spectator && !SPECTATOR_MESSAGE_TYPES.has(data.data.type)) {
+        this.#logger.warn("Spectator tried to send a player message", {
+          type: data.data.type,
+        });
         return;
       }
 
       switch (data.data.type) {
         case "start-round": {
           try {
-            this.#room.startRound();
+            this.#room.startRound(this);
+          } catch (error) {
+            this.#logger.warn("Couldn't request round start", { error });
+          }
+          break;
+        }
+        case "reroll-letter": {
+          try {
+            this.#room.rerollLetter(this);
           } catch (error) {
-            console.error(`Couldn't request round start: ${String(error)}`);
+            this.#logger.warn("Couldn't re-roll letter", { error });
           }
           break;
         }
@@ -84,32 +232,113 @@ export default class Player {
           try {
             this.#room.stopRound(this);
           } catch (error) {
-            console.error(`Couldn't request round stop: ${String(error)}`);
+            this.#logger.warn("Couldn't request round stop", { error });
           }
           break;
         }
         case "change-answer": {
-          if (!this.#room.categories.includes(data.data.content.category))
-            console.error(
-              `Player tried to change answer for a category that is not in the room: ${data.data.content.category}`
+          const { category } = data.data.content;
+
+          if (!this.#room.answering) {
+            this.#logger.warn(
+              "Player tried to change answer outside of a round"
+            );
+            this.#rejectAnswer(data.data.content, "not-answering");
+            break;
+          }
+
+          if (!this.#room.categories.includes(category)) {
+            this.#logger.warn(
+              "Player tried to change answer for a category that is not in the room",
+              { category }
             );
+            this.#rejectAnswer(data.data.content, "unknown-category");
+            break;
+          }
+
+          const answer = normalizeAnswer(data.data.content.answer);
 
-          const trimmedAnswer = data.data.content.answer.trim();
+          if (answer.length > MAX_ANSWER_LENGTH) {
+            this.#logger.warn(
+              "Player tried to give an answer that is too long",
+              {
+                maxLength: MAX_ANSWER_LENGTH,
+              }
+            );
+            this.#rejectAnswer(data.data.content, "too-long");
+            break;
+          }
 
-          if (trimmedAnswer.length > 0)
-            this.answers.set(data.data.content.category, trimmedAnswer);
-          else this.answers.delete(data.data.content.category);
+          if (answer.length > 0) this.answers.set(category, answer);
+          else this.answers.delete(category);
 
           break;
         }
         case "change-answer-vote": {
-          if (data.data.content.accepted)
-            this.votes.add(data.data.content.answer);
-          else this.votes.delete(data.data.content.answer);
+          const { category, answer, accepted } = data.data.content;
+
+          const ballot = this.votes.get(category);
+          if (category !== this.#votingCategory || ballot == undefined) {
+            this.#logger.warn(
+              "Player tried to vote in a category that is not open for voting",
+              { category }
+            );
+            this.send({ type: "vote-rejected", content: { category, answer } });
+            break;
+          }
+
+          if (accepted) ballot.add(answer);
+          else ballot.delete(answer);
+          break;
+        }
+        case "kick-player": {
+          try {
+            this.#room.kickPlayer(this, data.data.content.name);
+          } catch (error) {
+            this.#logger.warn("Couldn't kick player", { error });
+          }
+          break;
+        }
+        case "transfer-host": {
+          try {
+            this.#room.transferHost(this, data.data.content.name);
+          } catch (error) {
+            this.#logger.warn("Couldn't transfer host", { error });
+          }
+          break;
+        }
+        case "add-bot": {
+          try {
+            this.#room.addBot(this, data.data.content);
+          } catch (error) {
+            this.#logger.warn("Couldn't add bot", { error });
+          }
+          break;
+        }
+        case "remove-bot": {
+          try {
+            this.#room.removeBot(this, data.data.content.name);
+          } catch (error) {
+            this.#logger.warn("Couldn't remove bot", { error });
+          }
+          break;
+        }
+        case "chat": {
+          if (!this.#chatLimiter.tryAcquire()) {
+            this.#logger.warn("Player is sending chat messages too fast");
+            break;
+          }
+
+          try {
+            this.#room.chat(this, data.data.content.text);
+          } catch (error) {
+            this.#logger.warn("Couldn't send chat message", { error });
+          }
           break;
         }
         case "leave-room": {
-          this.#room.removePlayer(this, "left");
+          if (this.spectator) this.#room.removeSpectator(this, "left");
+          else this.#room.removePlayer(this, "left");
           break;
         }
         case "heartbeat": {
@@ -119,52 +348,140 @@ export default class Player {
       }
     });
 
-    this.#ws.on("close", () => {
-      // Remove player if it's still in the room. This only happens if the
-      // player wasn't already removed.
-      try {
-        this.#room.removePlayer(this, "left");
-      } catch {}
+    transport.onClose(() => {
+      if (transport !== this.#transport) return;
 
+      this.#transport = undefined;
       this.#clearInactivityTimeout();
+
+      // A removed player has nothing to resume.
+      if (this.#removed) return;
+
+      // Spectators have nothing to lose, so they don't get to reconnect.
+      if (this.spectator) {
+        this.#room.removeSpectator(this, "left");
+        return;
+      }
+
+      this.#room.disconnectPlayer(this);
+      this.#startReconnectTimeout();
+    });
+  }
+
+  /**
+   * Tells the player that one of their answers wasn't saved.
+   * @param {import("./player-messages.js").ChangeAnswerMessage["content"]} change -
+   * Answer change that was rejected.
+   * @param {import("./player-messages.js").AnswerRejectedMessage["content"]["reason"]} reason -
+   * Reason for the rejection.
+   */
+  #rejectAnswer({ category, answer }, reason) {
+    this.send({
+      type: "answer-rejected",
+      content: { category, answer, reason },
     });
   }
 
+  /** Starts the timeout to remove the player if they don't reconnect. */
+  #startReconnectTimeout() {
+    this.#clearReconnectTimeout();
+
+    this.#reconnectTimeout = this.#room.clock.setTimeout(() => {
+      this.#reconnectTimeout = undefined;
+      this.#room.removePlayer(this, "timed-out");
+    }, this.#room.timings.reconnectGracePeriod);
+  }
+
   /** Clears the player inactivity timeout. */
   #clearInactivityTimeout() {
-    if (this.#inactivityTimeout) clearTimeout(this.#inactivityTimeout);
+    this.#room.clock.clearTimeout(this.#inactivityTimeout);
+  }
+
+  /** Clears the player reconnection timeout. */
+  #clearReconnectTimeout() {
+    this.#room.clock.clearTimeout(this.#reconnectTimeout);
+    this.#reconnectTimeout = undefined;
   }
 
-  /** Resets the player inactivity timeout. */
+  /**
+   * Resets the player inactivity timeout. An inactive player is disconnected,
+   * but may still resume their session.
+   */
   #resetInactivityTimeout() {
     this.#clearInactivityTimeout();
 
-    this.#inactivityTimeout = setTimeout(() => {
-      this.#room.removePlayer(this, "timed-out");
-    }, 30e3);
+    this.#inactivityTimeout = this.#room.clock.setTimeout(() => {
+      this.#transport?.terminate();
+    }, this.#room.timings.inactivityTimeout);
+  }
+
+  /**
+   * Rebinds the player to a new transport, keeping their answers and votes.
+   * The previous transport, if still open, is closed.
+   * @param {import("./transport.js").Transport} transport - New transport of
+   * the player.
+   * @throws {Error} If the player was already removed from the room.
+   */
+  reconnect(transport) {
+    if (this.#removed) throw new Error("Player was removed from the room");
+
+    this.#clearReconnectTimeout();
+
+    const previousTransport = this.#transport;
+    this.#attach(transport);
+    previousTransport?.close(CloseCodes.SESSION_RESUMED, "Session resumed");
   }
 
   /**
-   * Sends a WebSocket message to the player.
+   * Sends a message to the player.
    * This may have side effects based on the message type.
+   * Messages sent while the player is disconnected are dropped, but their side
+   * effects still apply.
    * @param {import("./player-messages.js").ToPlayerMessage} message - Message
    * to send.
    */
   send(message) {
-    this.#ws.send(JSON.stringify(message));
+    if (this.#transport != undefined) {
+      this.#transport.send(message);
+      if (!this.bot) messagesSent.inc({ type: message.type });
+    }
 
     switch (message.type) {
+      case "letter-rerolled": {
+        this.answers.clear();
+        break;
+      }
       case "round-starting": {
         this.answers.clear();
+        this.votes.clear();
+        this.#votingCategory = undefined;
         break;
       }
       case "category-vote-started": {
-        this.votes = new Set(message.content.answers);
+        this.votes.set(
+          message.content.category,
+          new Set(message.content.answers)
+        );
+        this.#votingCategory = message.content.category;
+        break;
+      }
+      case "voting-ended": {
+        this.#votingCategory = undefined;
         break;
       }
-      case "player-removed": {
-        if (message.content.name === this.#name) {
-          this.#ws.close(CloseCodes.PLAYER_REMOVED, message.content.reason);
+      case "player-removed":
+      case "spectator-removed": {
+        const removedSpectator = message.type === "spectator-removed";
+        if (
+          message.content.name === this.#name &&
+          removedSpectator === this.spectator
+        ) {
+          this.#removed = true;
+          this.#clearReconnectTimeout();
+          this.#transport?.close(
+            CloseCodes.PLAYER_REMOVED,
+            message.content.reason
+          );
         }
         break;
       }
@@ -0,0 +1,19 @@
+/**
+ * Version of the protocol spoken by the server. It must be bumped whenever a
+ * change breaks existing clients.
+ */
+export const PROTOCOL_VERSION = 2;
+
+/**
+ * Protocol version of the clients that don't send one. Those clients predate
+ * versioning, so they speak the first version, whatever the current one is.
+ * Version 2 changed the `room-players` message and added the category to
+ * answer votes, so these clients are no longer supported.
+ */
+export const UNVERSIONED_PROTOCOL_VERSION = 1;
+
+/**
+ * Protocol versions that clients may join with. Clients that don't send a
+ * version are assumed to speak {@link UNVERSIONED_PROTOCOL_VERSION}.
+ */
+export const SUPPORTED_PROTOCOL_VERSIONS = [PROTOCOL_VERSION];
@@ -0,0 +1,31 @@
+/**
+ * Source of random numbers, returning numbers in the range [0, 1) like
+ * `Math.random`. Game code uses one instead of `Math.random` so tests can
+ * make games deterministic.
+ * @typedef {() => number} Random
+ */
+
+/**
+ * Random number source backed by `Math.random`.
+ * @type {Random}
+ */
+export const systemRandom = () => Math.random();
+
+/**
+ * Creates a seeded random number source, which always returns the same
+ * sequence for the same seed. Not suitable for anything secret.
+ * @param {number} seed - Seed of the sequence.
+ * @returns {Random} - Seeded random number source.
+ */
+export function seededRandom(seed) {
+  // Mulberry32
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 1_831_565_813) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4_294_967_296;
+  };
+}
@@ -0,0 +1,131 @@
+import { systemClock } from "./clock.js";
+
+/** Limits how many times an action can happen in a sliding time window. */
+export default class RateLimiter {
+  /**
+   * Maximum number of actions in the window.
+   * @type {number}
+   */
+  #limit;
+
+  /**
+   * Length of the window, in milliseconds.
+   * @type {number}
+   */
+  #window;
+
+  /**
+   * Times of the actions in the current window, from oldest to newest.
+   * @type {number[]}
+   */
+  #timestamps = [];
+
+  /** @type {import("./clock.js").Clock} */
+  #clock;
+
+  /**
+   * Constructs a new rate limiter.
+   * @param {number} limit - Maximum number of actions in the window.
+   * @param {number} window - Length of the window, in milliseconds.
+   * @param {import("./clock.js").Clock} [clock] - Clock to measure time with.
+   */
+  constructor(limit, window, clock = systemClock) {
+    this.#limit = limit;
+    this.#window = window;
+    this.#clock = clock;
+  }
+
+  /**
+   * Records an action if the limit allows it.
+   * @returns {boolean} - Whether the action is allowed.
+   */
+  tryAcquire() {
+    const now = this.#clock.now();
+
+    while (
+      this.#timestamps.length > 0 &&
+      (this.#timestamps[0] ?? now) <= now - this.#window
+    )
+      this.#timestamps.shift();
+
+    if (this.#timestamps.length >= this.#limit) return false;
+
+    this.#timestamps.push(now);
+    return true;
+  }
+}
+
+/**
+ * Limits how many times an action can happen in a sliding time window, with a
+ * separate limit for each key, such as an IP address.
+ */
+export class KeyedRateLimiter {
+  /** @type {number} */
+  #limit;
+
+  /** @type {number} */
+  #window;
+
+  /** @type {import("./clock.js").Clock} */
+  #clock;
+
+  /**
+   * Limiter and time of the last action of each key.
+   * @type {Map<string, { limiter: RateLimiter, lastAction: number }>}
+   */
+  #entries = new Map();
+
+  /**
+   * Time when keys without recent actions were last forgotten.
+   * @type {number}
+   */
+  #lastPrune;
+
+  /**
+   * Constructs a new keyed rate limiter.
+   * @param {number} limit - Maximum number of actions of a key in the window.
+   * @param {number} window - Length of the window, in milliseconds.
+   * @param {import("./clock.js").Clock} [clock] - Clock to measure time with.
+   */
+  constructor(limit, window, clock = systemClock) {
+    this.#limit = limit;
+    this.#window = window;
+    this.#clock = clock;
+    this.#lastPrune = clock.now();
+  }
+
+  /**
+   * Forgets the keys without actions in the current window, so that their
+   * limiters don't pile up.
+   * @param {number} now - Current time.
+   */
+  #prune(now) {
+    if (now - this.#lastPrune < this.#window) return;
+
+    this.#lastPrune = now;
+    for (const [key, { lastAction }] of this.#entries)
+      if (lastAction <= now - this.#window) this.#entries.delete(key);
+  }
+
+  /**
+   * Records an action of a key if its limit allows it.
+   * @param {string} key - Key doing the action.
+   * @returns {boolean} - Whether the action is allowed.
+   */
+  tryAcquire(key) {
+    const now = this.#clock.now();
+    this.#prune(now);
+
+    let entry = this.#entries.get(key);
+    if (entry == undefined) {
+      entry = {
+        limiter: new RateLimiter(this.#limit, this.#window, this.#clock),
+        lastAction: now,
+      };
+      this.#entries.set(key, entry);
+    }
+
+    entry.lastAction = now;
+    return entry.limiter.tryAcquire();
+  }
+}
@@ -0,0 +1,193 @@
+import { z } from "zod";
+
+/** Durations of the room phases, in milliseconds unless stated otherwise. */
+export const timingsSchema = z.object({
+  roundCountdown: z
+    .number()
+    .int()
+    .min(1e3)
+    .max(30e3)
+    .default(5e3)
+    .describe("Time between a round being requested and the letter reveal"),
+  answeringPerCategory: z
+    .number()
+    .int()
+    .min(3e3)
+    .max(120e3)
+    .default(10e3)
+    .describe("Answering time given for each category in the room"),
+  stopUnlockFraction: z
+    .number()
+    .min(0)
+    .max(0.9)
+    .default(1 / 3)
+    .describe(
+      "Fraction of the answering time that must pass before stops are available"
+    ),
+  stoppingGrace: z
+    .number()
+    .int()
+    .min(0)
+    .max(10e3)
+    .default(3e3)
+    .describe("Extra time for players to send their answers after a stop"),
+  categoryVote: z
+    .number()
+    .int()
+    .min(2e3)
+    .max(60e3)
+    .default(7500)
+    .describe("Voting time for each category"),
+  emptyRoomTimeout: z
+    .number()
+    .int()
+    .min(1e3)
+    .max(600e3)
+    .default(10e3)
+    .describe("Time an empty room is kept before being closed"),
+  inactivityTimeout: z
+    .number()
+    .int()
+    .min(5e3)
+    .max(300e3)
+    .default(30e3)
+    .describe("Time without heartbeats before a player is disconnected"),
+  reconnectGracePeriod: z
+    .number()
+    .int()
+    .min(0)
+    .max(300e3)
+    .default(30e3)
+    .describe("Time a disconnected player has to reconnect"),
+});
+/** @typedef {z.infer<typeof timingsSchema>} RoomTimings */
+
+/**
+ * Conditions for ending a match. A match without any end condition goes on
+ * until the room closes.
+ */
+export const matchSchema = z.object({
+  rounds: z
+    .optional(z.number().int().min(1).max(100))
+    .describe("Number of rounds after which the match ends"),
+  targetScore: z
+    .optional(z.number().int().min(1).max(1e5))
+    .describe("Cumulative score that ends the match once a player reaches it"),
+  afterEnd: z
+    .union([
+      z.literal("lobby").describe("Room goes back to the lobby"),
+      z.literal("close").describe("Room is closed"),
+    ])
+    .default("lobby")
+    .describe("What happens to the room after the match ends"),
+});
+/** @typedef {z.infer<typeof matchSchema>} MatchSettings */
+
+/** Name of the strategy used to score answers after voting. */
+export const scoringSchema = z
+  .union([
+    z.literal("votes").describe("One point per player who accepted an answer"),
+    z
+      .literal("classic")
+      .describe(
+        "10 points for unique valid answers, 5 for repeated ones, validity decided by majority"
+      ),
+  ])
+  .default("votes");
+
+/** Policy used to draw the letter of each round. */
+export const letterDrawingSchema = z.object({
+  mode: z
+    .union([
+      z.literal("random").describe("Any letter can be drawn in every round"),
+      z
+        .literal("no-repeat")
+        .describe("Letters don't repeat until every letter has been drawn"),
+      z
+        .literal("exclude-recent")
+        .describe("Letters drawn in the last rounds can't be drawn"),
+    ])
+    .default("random")
+    .describe("How drawn letters affect the next draws"),
+  recentCount: z
+    .number()
+    .int()
+    .min(1)
+    .max(25)
+    .default(3)
+    .describe("Number of recent letters excluded in exclude-recent mode"),
+  weighted: z
+    .boolean()
+    .default(false)
+    .describe("Whether hard letters like K, W, X and Y are drawn less often"),
+});
+/** @typedef {z.infer<typeof letterDrawingSchema>} LetterDrawingSettings */
+
+/** Settings of the room chat. */
+export const chatSchema = z.object({
+  blocklist: z
+    .array(z.string().min(1).max(64))
+    .max(500)
+    .default([])
+    .describe("Words censored in chat messages, ignoring case and accents"),
+});
+/** @typedef {z.infer<typeof chatSchema>} ChatSettings */
+
+/** Settings of the answer dictionary used during voting. */
+export const dictionarySchema = z.object({
+  hints: z
+    .boolean()
+    .default(true)
+    .describe("Whether answers are sent with dictionary hints for voting"),
+  autoAcceptKnown: z
+    .boolean()
+    .default(false)
+    .describe(
+      "Whether answers found in the dictionary are accepted by everyone, regardless of votes"
+    ),
+});
+/** @typedef {z.infer<typeof dictionarySchema>} DictionarySettings */
+
+/** Settings of a room that the host can change between rounds. */
+export const roomSettingsSchema = z.object({
+  public: z.boolean().default(false).describe("Whether the room is listed"),
+  name: z
+    .optional(z.string().trim().min(1).max(64))
+    .describe("Display name of the room"),
+  capacity: z
+    .number()
+    .int()
+    .min(2)
+    .max(32)
+    .default(16)
+    .describe("Maximum number of players in the room"),
+  spectatorCapacity: z
+    .number()
+    .int()
+    .min(0)
+    .max(64)
+    .default(16)
+    .describe("Maximum number of spectators in the room"),
+  letters: z
+    .array(z.string().length(1))
+    .min(1)
+    .max(26)
+    .describe("Letters that can be drawn"),
+  categories: z
+    .array(z.string())
+    .min(1)
+    .max(32)
+    .describe("Categories of the room"),
+  language: z
+    .optional(z.string().min(2).max(35))
+    .describe(
+      "BCP 47 tag of the language of the categories. The dictionary only knows pt-BR words, so it's only used for pt-BR rooms and rooms without a language"
+    ),
+  timings: timingsSchema.default({}),
+  match: matchSchema.default({}),
+  scoring: scoringSchema,
+  letterDrawing: letterDrawingSchema.default({}),
+  chat: chatSchema.default({}),
+  dictionary: dictionarySchema.default({}),
+});
+/** @typedef {z.infer<typeof roomSettingsSchema>} RoomSettings */
@@ -0,0 +1,131 @@
+import {
+  mkdir,
+  readFile,
+  readdir,
+  rename,
+  rm,
+  writeFile,
+} from "node:fs/promises";
+import path from "node:path";
+import { z } from "zod";
+import { roundRecordSchema } from "./history.js";
+import { logger } from "./logger.js";
+import { roomSettingsSchema } from "./room-settings.js";
+
+/** State of a room saved to a store. */
+export const roomSnapshotSchema = z.object({
+  id: z.string(),
+  passwordHash: z.optional(z.string()),
+  password: z
+    .optional(z.string())
+    .describe("Plain text password, only in snapshots of older versions"),
+  inviteUses: z.record(z.number()).default({}),
+  settings: roomSettingsSchema,
+  state: z.union([
+    z.literal("lobby"),
+    z.literal("round-starting"),
+    z.literal("round-answering"),
+    z.literal("round-answering-stopping"),
+    z.literal("voting"),
+    z.literal("leaderboard"),
+    z.literal("closed"),
+  ]),
+  round: z.number().int().min(0),
+  host: z.optional(z.string()),
+  players: z.array(
+    z.object({
+      name: z.string(),
+      resumeToken: z.string(),
+      score: z.number(),
+    })
+  ),
+  history: z.array(roundRecordSchema).default([]),
+});
+/** @typedef {z.infer<typeof roomSnapshotSchema>} RoomSnapshot */
+
+/**
+ * Stores room snapshots so they survive server restarts.
+ * @typedef {object} RoomStore
+ * @property {(snapshot: RoomSnapshot) => Promise<void>} save - Saves a room,
+ * replacing its previous snapshot.
+ * @property {(roomID: string) => Promise<void>} remove - Removes a saved room.
+ * @property {() => Promise<RoomSnapshot[]>} loadAll - Loads all saved rooms.
+ */
+
+/**
+ * Stores each room as a JSON file in a directory.
+ * @implements {RoomStore}
+ */
+export class JsonFileRoomStore {
+  /**
+   * Directory where the rooms are saved.
+   * @type {string}
+   */
+  #directory;
+
+  /**
+   * Constructs a new JSON file room store.
+   * @param {string} directory - Directory where the rooms are saved. It's
+   * created if it doesn't exist.
+   */
+  constructor(directory) {
+    this.#directory = directory;
+  }
+
+  /**
+   * Gets the path of the file of a room.
+   * @param {string} roomID - ID of the room.
+   * @returns {string} - Path of the file.
+   */
+  #pathOf(roomID) {
+    return path.join(this.#directory, `${roomID}.json`);
+  }
+
+  /**
+   * Saves a room, replacing its previous snapshot.
+   * @param {RoomSnapshot} snapshot - Snapshot of the room.
+   */
+  async save(snapshot) {
+    await mkdir(this.#directory, { recursive: true });
+
+    // Write to a temporary file first so a crash never leaves a partial file.
+    const filePath = this.#pathOf(snapshot.id);
+    const temporaryPath = `${filePath}.tmp`;
+    await writeFile(temporaryPath, JSON.stringify(snapshot));
+    await rename(temporaryPath, filePath);
+  }
+
+  /**
+   * Removes a saved room.
+   * @param {string} roomID - ID of the room.
+   */
+  async remove(roomID) {
+    await rm(this.#pathOf(roomID), { force: true });
+  }
+
+  /**
+   * Loads all saved rooms. Files that can't be read are skipped.
+   * @returns {Promise<RoomSnapshot[]>} - Snapshots of the rooms.
+   */
+  async loadAll() {
+    await mkdir(this.#directory, { recursive: true });
+
+    const entries = await readdir(this.#directory);
+    const fileNames = entries.filter((fileName) => fileName.endsWith(".json"));
+
+    /** @type {RoomSnapshot[]} */
+    const snapshots = [];
+    for (const fileName of fileNames) {
+      try {
+        const data = await readFile(path.join(this.#directory, fileName), {
+          encoding: "utf8",
+        });
+        snapshots.push(roomSnapshotSchema.parse(JSON.parse(data)));
+      } catch (error) {
+        logger.error("Couldn't load saved room", { file: fileName, error });
+      }
+    }
+
+    return snapshots;
+  }
+}
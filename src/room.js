@@ -1,5 +1,20 @@
 import app from "./app.js";
+import BotClient from "./bot.js";
+import { ChatFilter, MAX_CHAT_MESSAGE_LENGTH } from "./chat.js";
+import { systemClock } from "./clock.js";
+import { createInviteToken, readInviteToken } from "./invites.js";
+import LetterDrawer from "./letter-drawer.js";
+import { logger as rootLogger } from "./logger.js";
+import {
+  roundStops,
+  roundsCompleted,
+  roundsStarted,
+  votePhaseDuration,
+} from "./metrics.js";
+import { verifyPassword } from "./passwords.js";
 import Player from "./player.js";
+import { systemRandom } from "./random.js";
+import { scoringStrategies } from "./scoring.js";
 import VoteManager from "./vote-manager.js";
 
 /**
@@ -12,6 +27,10 @@ import VoteManager from "./vote-manager.js";
  * The round is starting.
  * @typedef {object} RoundStartingRoomState
  * @property {"round-starting"} type - Name of the state.
+ * @property {import("./clock.js").Timer} startTimeout - Timeout for the answering period to
+ * begin.
+ * @property {number} endsAt - Time when the answering period begins, in
+ * milliseconds.
  */
 
 /**
@@ -20,7 +39,13 @@ import VoteManager from "./vote-manager.js";
  * @property {"round-answering"} type - Name of the state.
  * @property {boolean | undefined} [stopAvailable] - Whether a player can
  * request a stop.
- * @property {NodeJS.Timeout} stopTimeout - Timeout for the automatic round stop.
+ * @property {boolean} rerolled - Whether the letter was re-rolled this round.
+ * @property {import("./clock.js").Timer} stopTimeout - Timeout for the
+ * automatic round stop.
+ * @property {import("./clock.js").Timer} stopUnlockTimeout - Timeout for stops to become
+ * available.
+ * @property {number} endsAt - Time when the round stops automatically, in
+ * milliseconds.
  */
 
 /**
@@ -28,12 +53,16 @@ import VoteManager from "./vote-manager.js";
  * extra time to send their answers.
  * @typedef {object} RoundAnsweringStoppingRoomState
  * @property {"round-answering-stopping"} type - Name of the state.
+ * @property {import("./clock.js").Timer} voteTimeout - Timeout for the voting
+ * to begin.
+ * @property {number} endsAt - Time when the voting begins, in milliseconds.
  */
 
 /**
  * The voting is in progress.
  * @typedef {object} VotingRoomState
  * @property {"voting"} type - Name of the state.
+ * @property {VoteManager} voteManager - Manager of the voting.
  * @property {() => void} cleanup - Function to be called when closing the room.
  */
 
@@ -54,13 +83,37 @@ import VoteManager from "./vote-manager.js";
  */
 
 /**
- * @typedef {object} RoomParameters
- * @property {string} password - Password of the room.
- * @property {Iterable<string>} letters - Available letters of the alphabet to
- * play.
- * @property {string[]} categories - Categories available in the room.
+ * Parameters of a new room: its settings and the hash of its password, from
+ * `hashPassword`. An empty hash means that the room has no password.
+ * @typedef {import("./room-settings.js").RoomSettings & { passwordHash: string }} RoomParameters
  */
 
+/**
+ * A sequence of rounds whose scores add up.
+ * @typedef {object} Match
+ * @property {number} round - Number of the current round, starting at 1.
+ * @property {Map<Player, number>} scores - Cumulative scores of the players.
+ * @property {import("./history.js").RoundRecord[]} history - Records of the
+ * rounds that finished voting.
+ */
+
+/**
+ * Services that a room uses to keep time and draw letters.
+ * @typedef {object} RoomServices
+ * @property {import("./clock.js").Clock} clock - Clock for the room timers.
+ * @property {import("./random.js").Random} random - Random number source for
+ * drawing letters.
+ * @property {import("./logger.js").Logger} logger - Logger that the room and
+ * its players log to, with their own fields added.
+ */
+
+/** Error thrown when a player tries to join a room with no free seats. */
+export class RoomFullError extends Error {
+  constructor() {
+    super("Room is full");
+  }
+}
+
 export default class Room {
   /**
    * Current state of the room.
@@ -70,35 +123,160 @@ export default class Room {
 
   /**
    * Timeout to stop the room if there are no players for a certain time.
-   * @type {NodeJS.Timeout | undefined}
+   * @type {import("./clock.js").Timer | undefined}
    */
   #noPlayerTimeout = undefined;
 
-  /** @type {string} */
-  #password;
+  /**
+   * Hash of the password of the room, empty if the room has no password.
+   * @type {string}
+   */
+  #passwordHash;
+
+  /**
+   * Number of times each invite to the room was used, by invite ID.
+   * @type {Map<string, number>}
+   */
+  #inviteUses = new Map();
+
+  /** @type {import("./room-settings.js").RoomSettings} */
+  #settings;
 
   /** @type {Player[]} */
   #players = [];
 
-  /** @type {Set<string>} */
-  #letters;
+  /**
+   * Players who only watch the room. They aren't part of voting or scoring.
+   * @type {Player[]}
+   */
+  #spectators = [];
+
+  /**
+   * Player who controls the room.
+   * @type {Player | undefined}
+   */
+  #host;
+
+  /** @type {LetterDrawer} */
+  #letterDrawer;
+
+  /**
+   * Letter of the current round, or of the last round if none is in progress.
+   * @type {string | undefined}
+   */
+  #letter;
+
+  /** @type {ChatFilter} */
+  #chatFilter;
+
+  /**
+   * Match being played, starting when a round is started from the lobby.
+   * @type {Match}
+   */
+  #match = { round: 0, scores: new Map(), history: [] };
+
+  /** @type {import("./clock.js").Clock} */
+  #clock;
+
+  /** @type {import("./random.js").Random} */
+  #random;
+
+  /**
+   * Logger bound to the ID of the room.
+   * @type {import("./logger.js").Logger}
+   */
+  #logger;
+
+  /** @returns {boolean} - Whether joining the room requires a password. */
+  get hasPassword() {
+    return this.#passwordHash !== "";
+  }
+
+  /** @returns {boolean} - Whether the room is listed publicly. */
+  get public() {
+    return this.#settings.public;
+  }
+
+  /** @returns {string | undefined} - Display name of the room. */
+  get name() {
+    return this.#settings.name;
+  }
+
+  /** @returns {number} - Maximum number of players in the room. */
+  get capacity() {
+    return this.#settings.capacity;
+  }
+
+  /** @returns {number} - Number of players in the room. */
+  get playerCount() {
+    return this.#players.length;
+  }
+
+  /** @returns {Player[]} - Players in the room. */
+  get players() {
+    return [...this.#players];
+  }
+
+  /** @returns {Player[]} - Spectators in the room. */
+  get spectators() {
+    return [...this.#spectators];
+  }
+
+  /** @returns {import("./room-settings.js").RoomSettings} - Settings of the room. */
+  get settings() {
+    return structuredClone(this.#settings);
+  }
+
+  /**
+   * Gets the records of the rounds played in the current match, or in the last
+   * match if none is in progress.
+   * @returns {import("./history.js").RoundRecord[]} - Records of the rounds.
+   */
+  get history() {
+    return structuredClone(this.#match.history);
+  }
+
+  /** @returns {import("./logger.js").Logger} - Logger of the room. */
+  get logger() {
+    return this.#logger;
+  }
+
+  /** @returns {import("./clock.js").Clock} - Clock for the room timers. */
+  get clock() {
+    return this.#clock;
+  }
 
-  /** @type {string[]} */
-  #categories;
+  /** @returns {RoomState["type"]} - Name of the current state of the room. */
+  get state() {
+    return this.#state.type;
+  }
+
+  /** @returns {import("./room-settings.js").RoomTimings} - Timings of the room. */
+  get timings() {
+    return { ...this.#settings.timings };
+  }
 
-  /** @returns {string} - Password of the room. */
-  get password() {
-    return this.#password;
+  /** @returns {Player | undefined} - Host of the room. */
+  get host() {
+    return this.#host;
+  }
+
+  /** @returns {boolean} - Whether players can change their answers. */
+  get answering() {
+    return (
+      this.#state.type === "round-answering" ||
+      this.#state.type === "round-answering-stopping"
+    );
   }
 
   /** @returns {Set<string>} - Letters available in the room. */
   get letters() {
-    return new Set(this.#letters);
+    return new Set(this.#settings.letters);
   }
 
   /** @returns {string[]} - Categories available in the room. */
   get categories() {
-    return [...this.#categories];
+    return [...this.#settings.categories];
   }
 
   /**
@@ -112,39 +290,196 @@ export default class Room {
    * Constructs a new room.
    * @param {string} id - ID of the room.
    * @param {RoomParameters} parameters - Parameters of the room.
+   * @param {Partial<RoomServices>} [services] - Services used by the room.
+   * Defaults to the system clock and random number source and the server
+   * logger.
    */
-  constructor(id, parameters) {
+  constructor(
+    id,
+    parameters,
+    { clock = systemClock, random = systemRandom, logger = rootLogger } = {}
+  ) {
     this.id = id;
-    this.#password = parameters.password;
-    this.#letters = new Set(parameters.letters);
-    this.#categories = [...parameters.categories];
+    this.#logger = logger.child({ room: id });
+    const { passwordHash, ...settings } = parameters;
+    this.#passwordHash = passwordHash;
+    this.#settings = structuredClone(settings);
+    this.#clock = clock;
+    this.#random = random;
+    this.#letterDrawer = new LetterDrawer(settings.letterDrawing, random);
+    this.#chatFilter = new ChatFilter(settings.chat.blocklist);
     this.#state = { type: "lobby" };
 
-    this.#noPlayerTimeout = setTimeout(() => {
+    this.#noPlayerTimeout = this.#clock.setTimeout(() => {
       this.#close();
-    }, 10e3);
+    }, this.#settings.timings.emptyRoomTimeout);
+  }
+
+  /**
+   * Recreates a room from a snapshot. Players start disconnected and must
+   * resume their sessions. A round that was in progress is discarded, so it
+   * can be restarted cleanly. Plain text passwords of older snapshots must be
+   * hashed into `passwordHash` first.
+   * @param {import("./room-store.js").RoomSnapshot} snapshot - Snapshot of the
+   * room.
+   * @param {Partial<RoomServices>} [services] - Services used by the room.
+   * @returns {Room} - Restored room.
+   * @throws {Error} If the snapshot has a password that isn't hashed.
+   */
+  static fromSnapshot(snapshot, services) {
+    if (snapshot.passwordHash == undefined && snapshot.password)
+      throw new Error("Snapshot has a password that isn't hashed");
+
+    const room = new Room(
+      snapshot.id,
+      { ...snapshot.settings, passwordHash: snapshot.passwordHash ?? "" },
+      services
+    );
+    room.#inviteUses = new Map(Object.entries(snapshot.inviteUses));
+
+    for (const { name, resumeToken, score } of snapshot.players) {
+      const player = Player.restore(name, room, resumeToken);
+      room.#players.push(player);
+      room.#match.scores.set(player, score);
+    }
+
+    room.#host =
+      room.#players.find((p) => p.name === snapshot.host) ?? room.#players[0];
+
+    if (room.#players.length > 0 && room.#noPlayerTimeout != undefined) {
+      room.#clock.clearTimeout(room.#noPlayerTimeout);
+      room.#noPlayerTimeout = undefined;
+    }
+
+    const inRound =
+      snapshot.state !== "lobby" && snapshot.state !== "leaderboard";
+    room.#match.round = inRound
+      ? Math.max(snapshot.round - 1, 0)
+      : snapshot.round;
+    room.#match.history = snapshot.history.filter(
+      (record) => record.round <= room.#match.round
+    );
+    room.#letter = room.#match.history.at(-1)?.letter;
+    room.#state =
+      snapshot.state === "lobby" || room.#match.round === 0
+        ? { type: "lobby" }
+        : { type: "leaderboard" };
+
+    return room;
+  }
+
+  /**
+   * Takes a snapshot of the room that can be saved and restored later.
+   * @returns {import("./room-store.js").RoomSnapshot} - Snapshot of the room.
+   */
+  snapshot() {
+    return {
+      id: this.id,
+      passwordHash: this.#passwordHash,
+      inviteUses: Object.fromEntries(this.#inviteUses),
+      settings: this.settings,
+      state: this.#state.type,
+      round: this.#match.round,
+      host: this.#host?.name,
+      // Bots aren't saved, as they can't resume a session.
+      players: this.#players
+        .filter((player) => !player.bot)
+        .map((player) => ({
+          name: player.name,
+          resumeToken: player.resumeToken,
+          score: this.#match.scores.get(player) ?? 0,
+        })),
+      history: this.history,
+    };
   }
 
   /**
-   * Broadcasts a message to all players in the room.
+   * Checks a password against the password of the room.
+   * @param {string} password - Password to check.
+   * @returns {Promise<boolean>} - Whether the password is right. Rooms without
+   * a password only take an empty one.
+   */
+  checkPassword(password) {
+    return verifyPassword(password, this.#passwordHash);
+  }
+
+  /**
+   * Creates an invite that lets clients join the room without the password.
+   * @param {number} expiresIn - Time until the invite expires, in
+   * milliseconds.
+   * @param {number} maxUses - Number of times the invite can be used.
+   * @returns {{ invite: import("./invites.js").Invite, token: string }} -
+   * Created invite and its signed token.
+   */
+  createInvite(expiresIn, maxUses) {
+    return createInviteToken({
+      room: this.id,
+      expiresAt: this.#clock.now() + expiresIn,
+      maxUses,
+    });
+  }
+
+  /**
+   * Checks whether an invite token lets a client into the room.
+   * @param {string} token - Invite token.
+   * @returns {import("./invites.js").Invite | undefined} - Invite in the token,
+   * or `undefined` if the token isn't for this room, expired or was used up.
+   */
+  checkInvite(token) {
+    const invite = readInviteToken(token);
+    if (
+      invite == undefined ||
+      invite.room !== this.id ||
+      invite.expiresAt <= this.#clock.now() ||
+      (this.#inviteUses.get(invite.id) ?? 0) >= invite.maxUses
+    )
+      return;
+
+    return invite;
+  }
+
+  /**
+   * Counts a use of an invite to the room.
+   * @param {import("./invites.js").Invite} invite - Invite that was used.
+   */
+  useInvite(invite) {
+    this.#inviteUses.set(invite.id, (this.#inviteUses.get(invite.id) ?? 0) + 1);
+    this.#persist();
+  }
+
+  /**
+   * Broadcasts a message to all players and spectators in the room.
    * @param {import("./player-messages.js").ToPlayerMessage} message - Message
    * to broadcast.
    */
   #broadcast(message) {
-    for (const player of this.#players) {
+    for (const player of [...this.#players, ...this.#spectators]) {
       player.send(message);
     }
   }
 
+  /** Schedules the room to be saved, so it can be restored after a restart. */
+  #persist() {
+    app.rooms.persist(this);
+  }
+
   /**
    * Closes the room and removes it from the list of rooms.
    */
   #close() {
-    if (this.#state.type === "round-answering")
-      clearTimeout(this.#state.stopTimeout);
+    if (this.#state.type === "round-starting")
+      this.#clock.clearTimeout(this.#state.startTimeout);
+
+    if (this.#state.type === "round-answering") {
+      this.#clock.clearTimeout(this.#state.stopTimeout);
+      this.#clock.clearTimeout(this.#state.stopUnlockTimeout);
+    }
+
+    if (this.#state.type === "round-answering-stopping")
+      this.#clock.clearTimeout(this.#state.voteTimeout);
 
     if (this.#noPlayerTimeout != undefined) {
-      clearTimeout(this.#noPlayerTimeout);
+      this.#clock.clearTimeout(this.#noPlayerTimeout);
       this.#noPlayerTimeout = undefined;
     }
 
@@ -161,23 +496,210 @@ export default class Room {
     }
     this.#players = [];
 
+    for (const spectator of this.#spectators) {
+      this.#broadcast({
+        type: "spectator-removed",
+        content: {
+          name: spectator.name,
+          reason: "room-closed",
+        },
+      });
+    }
+    this.#spectators = [];
+
+    this.#host = undefined;
+
     this.#state = { type: "closed" };
     app.rooms.remove(this);
+    this.#logger.info("Room closed");
+  }
+
+  /**
+   * Closes the room at the request of the server operators, telling everyone
+   * in it why before they are removed.
+   * @param {string} reason - Reason for closing the room.
+   */
+  close(reason) {
+    if (this.#state.type === "closed") return;
+
+    this.#logger.info("Closing room at the request of an operator", {
+      reason,
+    });
+    this.#broadcast({
+      type: "notice",
+      content: { kind: "room-closed", text: reason },
+    });
+    this.#close();
+  }
+
+  /**
+   * Shows a notice from the server operators to everyone in the room.
+   * @param {string} text - Text of the notice.
+   */
+  notify(text) {
+    this.#broadcast({ type: "notice", content: { kind: "maintenance", text } });
+  }
+
+  /**
+   * Makes a player the host of the room and broadcasts the change to all
+   * players.
+   * @param {Player | undefined} player - New host, or `undefined` if there are
+   * no players left.
+   */
+  #setHost(player) {
+    this.#host = player;
+    this.#persist();
+
+    if (player != undefined)
+      this.#broadcast({ type: "host-changed", content: { name: player.name } });
+  }
+
+  /**
+   * Finds a player in the room by their name.
+   * @param {string} name - Name of the player.
+   * @returns {Player} - Player with the given name.
+   * @throws {Error} If there's no player with the given name in the room.
+   */
+  #getPlayer(name) {
+    const player = this.#players.find((p) => p.name === name);
+    if (player == undefined) throw new Error(`No player named ${name}`);
+
+    return player;
+  }
+
+  /**
+   * Asserts that a player is the host of the room.
+   * @param {Player} player - Player to check.
+   * @throws {Error} If the player is not the host.
+   */
+  #assertHost(player) {
+    if (player !== this.#host) throw new Error("Player is not the host");
+  }
+
+  /**
+   * Sends the current state of the room to a player who just joined or
+   * reconnected.
+   * @param {Player} player - Player to send the state to.
+   */
+  #sendRoomInfo(player) {
+    player.send({
+      type: "room-players",
+      content: {
+        players: this.#players.map((p) => p.name),
+        bots: this.#players.filter((p) => p.bot).map((p) => p.name),
+        spectators: this.#spectators.map((s) => s.name),
+      },
+    });
+    player.send({
+      type: "room-categories",
+      content: this.#settings.categories,
+    });
+    player.send({ type: "room-timings", content: this.#settings.timings });
+    player.send({ type: "room-settings", content: this.settings });
+    if (this.#host != undefined)
+      player.send({ type: "host-changed", content: { name: this.#host.name } });
+    this.#sendRoomState(player);
+  }
+
+  /**
+   * Gets the cumulative scores of the players in the match.
+   * @returns {Record<string, number>} - Score of each player, by name.
+   */
+  #totals() {
+    /** @type {Record<string, number>} */
+    const totals = {};
+    for (const player of this.#players)
+      totals[player.name] = this.#match.scores.get(player) ?? 0;
+
+    return totals;
+  }
+
+  /**
+   * Sends what is happening in the room to a player, so they can catch up
+   * with a round in progress.
+   * @param {Player} player - Player to send the state to.
+   */
+  #sendRoomState(player) {
+    const state = this.#state;
+
+    /** @type {import("./player-messages.js").RoomStateMessage["content"]} */
+    const content = {
+      state: state.type,
+      round: this.#match.round,
+      answers: Object.fromEntries(player.answers),
+      totals: this.#totals(),
+    };
+
+    switch (state.type) {
+      case "round-starting": {
+        content.timeLeft = state.endsAt - this.#clock.now();
+        break;
+      }
+      case "round-answering": {
+        content.letter = this.#letter;
+        content.timeLeft = state.endsAt - this.#clock.now();
+        content.stopAvailable = state.stopAvailable ?? false;
+        break;
+      }
+      case "round-answering-stopping": {
+        content.letter = this.#letter;
+        content.timeLeft = state.endsAt - this.#clock.now();
+        break;
+      }
+      case "voting": {
+        content.letter = this.#letter;
+        content.timeLeft = state.voteManager.timeLeft;
+
+        const vote = state.voteManager.openVote;
+        if (vote != undefined)
+          content.vote = {
+            ...vote,
+            accepted: player.spectator
+              ? undefined
+              : [...(player.votes.get(vote.category) ?? [])],
+          };
+        break;
+      }
+      case "leaderboard": {
+        content.letter = this.#letter;
+        break;
+      }
+    }
+
+    player.send({ type: "room-state", content });
   }
 
   /**
    * Adds a player to the room.
    * @param {string} name - Name of the player.
-   * @param {import("ws").WebSocket} ws - Websocket of the player.
+   * @param {import("./transport.js").Transport} transport - Transport of the
+   * player.
+   * @throws {RoomFullError} If the room has no free seats.
    * @throws {Error} If a player with the same name is already in the room.
    */
-  addPlayer(name, ws) {
+  addPlayer(name, transport) {
+    this.#addPlayer(name, transport, false);
+  }
+
+  /**
+   * Adds a player or a bot to the room.
+   * @param {string} name - Name of the player.
+   * @param {import("./transport.js").Transport} transport - Transport of the
+   * player.
+   * @param {boolean} bot - Whether the player is a bot.
+   * @throws {RoomFullError} If the room has no free seats.
+   * @throws {Error} If a player with the same name is already in the room.
+   */
+  #addPlayer(name, transport, bot) {
+    if (this.#players.length >= this.#settings.capacity)
+      throw new RoomFullError();
+
     if (this.#players.some((p) => p.name === name)) {
       throw new Error("Player with the same name already in the room");
     }
 
     if (this.#noPlayerTimeout != undefined) {
-      clearTimeout(this.#noPlayerTimeout);
+      this.#clock.clearTimeout(this.#noPlayerTimeout);
       this.#noPlayerTimeout = undefined;
     }
 
@@ -185,16 +707,139 @@ export default class Room {
       type: "player-joined",
       content: {
         name,
+        bot,
       },
     });
 
-    const newPlayer = new Player(name, this, ws);
+    const newPlayer = new Player(name, this, transport, { bot });
     this.#players.push(newPlayer);
+    this.#logger.info("Player joined", { player: name, bot });
+    this.#persist();
+    this.#sendRoomInfo(newPlayer);
+
+    if (this.#host == undefined) this.#setHost(newPlayer);
+
+    // Bots can't leave and come back, so they have no use for a token.
+    if (bot) return;
+
     newPlayer.send({
-      type: "room-players",
-      content: this.#players.map((p) => p.name),
+      type: "resume-token",
+      content: {
+        token: newPlayer.resumeToken,
+        gracePeriod: this.#settings.timings.reconnectGracePeriod,
+      },
+    });
+  }
+
+  /**
+   * Finds a player in the room by their resume token.
+   * @param {string} resumeToken - Resume token of the player.
+   * @returns {Player | undefined} - Player with the given resume token.
+   */
+  getPlayerByResumeToken(resumeToken) {
+    return this.#players.find((p) => p.resumeToken === resumeToken);
+  }
+
+  /**
+   * Rebinds a disconnected player to a new transport and broadcasts a
+   * reconnection message to all players.
+   * @param {string} resumeToken - Resume token of the player.
+   * @param {import("./transport.js").Transport} transport - New transport of
+   * the player.
+   * @throws {Error} If no player in the room has the given resume token.
+   */
+  reconnectPlayer(resumeToken, transport) {
+    const player = this.getPlayerByResumeToken(resumeToken);
+    if (player == undefined)
+      throw new Error("No player with the given resume token in the room");
+
+    player.reconnect(transport);
+    this.#logger.info("Player reconnected", { player: player.name });
+
+    this.#broadcast({
+      type: "player-reconnected",
+      content: {
+        name: player.name,
+      },
+    });
+
+    this.#sendRoomInfo(player);
+  }
+
+  /**
+   * Adds a spectator to the room. Spectators receive every room message but
+   * can't play.
+   * @param {string} name - Name of the spectator.
+   * @param {import("./transport.js").Transport} transport - Transport of the
+   * spectator.
+   * @throws {RoomFullError} If the room has no free spectator seats.
+   * @throws {Error} If a spectator with the same name is already in the room.
+   */
+  addSpectator(name, transport) {
+    if (this.#spectators.length >= this.#settings.spectatorCapacity)
+      throw new RoomFullError();
+
+    if (this.#spectators.some((s) => s.name === name)) {
+      throw new Error("Spectator with the same name already in the room");
+    }
+
+    this.#broadcast({
+      type: "spectator-joined",
+      content: {
+        name,
+      },
+    });
+
+    const spectator = new Player(name, this, transport, { spectator: true });
+    this.#spectators.push(spectator);
+    this.#logger.info("Spectator joined", { spectator: name });
+    this.#sendRoomInfo(spectator);
+  }
+
+  /**
+   * Removes a spectator from the room and broadcasts a removal message to all
+   * players and spectators, including the removed spectator.
+   * @param {Player} spectator - Spectator to remove.
+   * @param {import("./player-messages.js").SpectatorRemovedMessage["content"]["reason"]} reason -
+   * Reason for leaving the room.
+   * @throws {Error} If the spectator is not in the room.
+   */
+  removeSpectator(spectator, reason) {
+    if (!this.#spectators.includes(spectator))
+      throw new Error("Spectator not in the room");
+
+    this.#broadcast({
+      type: "spectator-removed",
+      content: {
+        name: spectator.name,
+        reason,
+      },
+    });
+
+    this.#spectators = this.#spectators.filter((s) => s !== spectator);
+    this.#logger.info("Spectator removed", {
+      spectator: spectator.name,
+      reason,
+    });
+  }
+
+  /**
+   * Broadcasts that a player has lost their connection. The player is kept in
+   * the room until they reconnect or are removed.
+   * @param {Player} player - Player who disconnected.
+   * @throws {Error} If the player is not in the room.
+   */
+  disconnectPlayer(player) {
+    if (!this.#players.includes(player))
+      throw new Error("Player not in the room");
+
+    this.#logger.info("Player disconnected", { player: player.name });
+    this.#broadcast({
+      type: "player-disconnected",
+      content: {
+        name: player.name,
+      },
     });
-    newPlayer.send({ type: "room-categories", content: this.#categories });
   }
 
   /**
@@ -218,52 +863,313 @@ export default class Room {
     });
 
     this.#players = this.#players.filter((p) => p !== player);
+    this.#match.scores.delete(player);
+    this.#logger.info("Player removed", { player: player.name, reason });
+    this.#persist();
+
+    // Prefer handing the room over to someone who is still connected.
+    if (player === this.#host)
+      this.#setHost(
+        this.#players.find((p) => p.connected && !p.bot) ??
+          this.#players.find((p) => !p.bot)
+      );
 
-    if (this.#players.length === 0)
-      this.#noPlayerTimeout = setTimeout(() => {
+    // Bots don't play alone, so they leave with the last human player.
+    if (!player.bot && this.#players.every((p) => p.bot))
+      for (const bot of this.#players) this.removePlayer(bot, "left");
+
+    if (this.#players.length === 0 && this.#noPlayerTimeout == undefined)
+      this.#noPlayerTimeout = this.#clock.setTimeout(() => {
         this.#close();
-      }, 10e3);
+      }, this.#settings.timings.emptyRoomTimeout);
+  }
+
+  /**
+   * Changes the settings of the room at the request of the host and broadcasts
+   * the new settings to everyone in the room.
+   * @param {Player} requester - Player who requested the change.
+   * @param {import("./room-settings.js").RoomSettings} settings - New settings.
+   * @throws {Error} If the requester is not the host, if a round is in
+   * progress or if the new capacity can't fit the players in the room.
+   */
+  updateSettings(requester, settings) {
+    this.#assertHost(requester);
+
+    if (this.#state.type !== "lobby" && this.#state.type !== "leaderboard")
+      throw new Error("Settings can only be changed between rounds");
+
+    if (settings.capacity < this.#players.length)
+      throw new Error("Capacity is lower than the number of players");
+
+    // Keep the drawing history unless the policy itself changed.
+    if (
+      JSON.stringify(settings.letterDrawing) !==
+      JSON.stringify(this.#settings.letterDrawing)
+    )
+      this.#letterDrawer = new LetterDrawer(
+        settings.letterDrawing,
+        this.#random
+      );
+
+    this.#settings = structuredClone(settings);
+    this.#chatFilter = new ChatFilter(settings.chat.blocklist);
+    this.#persist();
+
+    this.#broadcast({ type: "room-settings", content: this.settings });
+  }
+
+  /**
+   * Relays a chat message to everyone in the room, censoring blocked words.
+   * @param {Player} sender - Player or spectator who sent the message.
+   * @param {string} text - Text of the message.
+   * @throws {Error} If the round is being answered, or if the message is empty
+   * or too long.
+   */
+  chat(sender, text) {
+    if (this.answering)
+      throw new Error("Chat is blocked while the round is being answered");
+
+    const trimmedText = text.trim();
+    if (trimmedText.length === 0) throw new Error("Message is empty");
+    if (trimmedText.length > MAX_CHAT_MESSAGE_LENGTH)
+      throw new Error(
+        `Message is longer than ${MAX_CHAT_MESSAGE_LENGTH} characters`
+      );
+
+    this.#broadcast({
+      type: "chat",
+      content: {
+        name: sender.name,
+        spectator: sender.spectator,
+        text: this.#chatFilter.censor(trimmedText),
+      },
+    });
+  }
+
+  /**
+   * Checks whether the current match has met one of its end conditions.
+   * @returns {boolean} - Whether the match is over.
+   */
+  #isMatchOver() {
+    const { rounds, targetScore } = this.#settings.match;
+
+    if (rounds != undefined && this.#match.round >= rounds) return true;
+
+    return (
+      targetScore != undefined &&
+      [...this.#match.scores.values()].some((score) => score >= targetScore)
+    );
+  }
+
+  /**
+   * Ends the current match, broadcasting the final standings to all players,
+   * and then either goes back to the lobby or closes the room.
+   */
+  #endMatch() {
+    const standings = this.#players
+      .map((player) => ({
+        name: player.name,
+        score: this.#match.scores.get(player) ?? 0,
+      }))
+      .sort((a, b) => b.score - a.score);
+
+    this.#logger.info("Match ended", {
+      rounds: this.#match.round,
+      winner: standings[0]?.name,
+    });
+    this.#broadcast({
+      type: "match-ended",
+      content: {
+        rounds: this.#match.round,
+        standings,
+        history: this.history,
+      },
+    });
+
+    if (this.#settings.match.afterEnd === "close") {
+      this.#close();
+      return;
+    }
+
+    this.#state = { type: "lobby" };
+    this.#persist();
+  }
+
+  /**
+   * Removes a player from the room at the request of the host.
+   * @param {Player} requester - Player who requested the kick.
+   * @param {string} name - Name of the player to kick.
+   * @throws {Error} If the requester is not the host, if there's no player with
+   * the given name or if the host tries to kick themselves.
+   */
+  kickPlayer(requester, name) {
+    this.#assertHost(requester);
+
+    const player = this.#getPlayer(name);
+    if (player === requester) throw new Error("The host can't kick themselves");
+
+    this.removePlayer(player, "kicked");
+  }
+
+  /**
+   * Makes another player the host at the request of the current host.
+   * @param {Player} requester - Player who requested the transfer.
+   * @param {string} name - Name of the player to make the host.
+   * @throws {Error} If the requester is not the host, if there's no player
+   * with the given name or if the player is a bot.
+   */
+  transferHost(requester, name) {
+    this.#assertHost(requester);
+
+    const player = this.#getPlayer(name);
+    if (player.bot) throw new Error("Bots can't be the host");
+
+    this.#setHost(player);
+  }
+
+  /**
+   * Adds a bot to the room at the request of the host.
+   * @param {Player} requester - Player who requested the bot.
+   * @param {import("./bot.js").BotSettings} settings - Settings of the bot.
+   * @throws {RoomFullError} If the room has no free seats.
+   * @throws {Error} If the requester is not the host, if the room is not in the
+   * lobby or if a player with the same name is already in the room.
+   */
+  addBot(requester, settings) {
+    this.#assertHost(requester);
+
+    if (this.#state.type !== "lobby")
+      throw new Error("Bots can only be added in the lobby");
+
+    let name = settings.name;
+    for (let number = 1; name == undefined; ++number) {
+      const candidate = `Bot ${number}`;
+      if (!this.#players.some((p) => p.name === candidate)) name = candidate;
+    }
+
+    this.#addPlayer(
+      name,
+      new BotClient(settings, this.#clock, this.#random),
+      true
+    );
+  }
+
+  /**
+   * Removes a bot from the room at the request of the host.
+   * @param {Player} requester - Player who requested the removal.
+   * @param {string} name - Name of the bot.
+   * @throws {Error} If the requester is not the host, if the room is not in the
+   * lobby or if there's no bot with the given name.
+   */
+  removeBot(requester, name) {
+    this.#assertHost(requester);
+
+    if (this.#state.type !== "lobby")
+      throw new Error("Bots can only be removed in the lobby");
+
+    const bot = this.#getPlayer(name);
+    if (!bot.bot) throw new Error(`${name} is not a bot`);
+
+    this.removePlayer(bot, "kicked");
   }
 
   /**
    * Begins starting a new round, broadcasting a "starting" message to all
    * players some seconds before.
-   * @throws {Error} If a round is already in progress.
+   * @param {Player} requester - Player who requested the round start.
+   * @throws {Error} If the requester is not the host or if a round is already
+   * in progress.
    */
-  startRound() {
+  startRound(requester) {
+    this.#assertHost(requester);
+
     if (this.#state.type != "lobby" && this.#state.type != "leaderboard")
       throw new Error("Round already in progress");
 
-    this.#state = { type: "round-starting" };
-    this.#broadcast({ type: "round-starting" });
+    if (this.#state.type === "lobby")
+      this.#match = { round: 0, scores: new Map(), history: [] };
+    ++this.#match.round;
 
-    const letter = [...this.#letters][
-      Math.floor(Math.random() * this.#letters.size)
-    ];
-    if (letter == undefined) {
-      throw new Error(
-        "No letters available to start a round. This should never be thrown."
-      );
-    }
+    const letter = this.#letterDrawer.draw(this.#settings.letters);
 
-    const duration = this.#categories.length * 10e3;
+    this.#state = {
+      type: "round-starting",
+      endsAt: this.#clock.now() + this.#settings.timings.roundCountdown,
+      startTimeout: this.#clock.setTimeout(() => {
+        const duration = this.#beginAnswering(letter, false);
+        roundsStarted.inc();
+        this.#logger.info("Round started", {
+          round: this.#match.round,
+          letter,
+        });
+        this.#broadcast({
+          type: "round-started",
+          content: { letter, duration },
+        });
+      }, this.#settings.timings.roundCountdown),
+    };
+    this.#persist();
 
-    setTimeout(() => {
-      this.#state = {
-        type: "round-answering",
-        stopTimeout: setTimeout(() => {
-          this.stopRound();
-        }, duration),
-      };
-      this.#broadcast({ type: "round-started", content: { letter, duration } });
+    this.#logger.info("Round starting", { round: this.#match.round });
+    this.#broadcast({ type: "round-starting" });
+  }
+
+  /**
+   * Starts the answering period of the round. Stops become available after a
+   * fraction of the period has passed.
+   * @param {string} letter - Letter of the round.
+   * @param {boolean} rerolled - Whether the letter was re-rolled this round.
+   * @returns {number} - Duration of the answering period, in milliseconds.
+   */
+  #beginAnswering(letter, rerolled) {
+    const duration =
+      this.#settings.categories.length *
+      this.#settings.timings.answeringPerCategory;
 
-      setTimeout(() => {
+    this.#letter = letter;
+    this.#state = {
+      type: "round-answering",
+      rerolled,
+      endsAt: this.#clock.now() + duration,
+      stopTimeout: this.#clock.setTimeout(() => {
+        this.stopRound();
+      }, duration),
+      stopUnlockTimeout: this.#clock.setTimeout(() => {
         if (this.#state.type !== "round-answering")
           throw new Error("Unexpected round state");
         this.#state.stopAvailable = true;
         this.#broadcast({ type: "stop-available" });
-      }, duration / 3);
-    }, 5e3);
+      }, duration * this.#settings.timings.stopUnlockFraction),
+    };
+
+    return duration;
+  }
+
+  /**
+   * Draws another letter for the round at the request of the host. Answers are
+   * cleared and the answering period starts over. This can be done once per
+   * round.
+   * @param {Player} requester - Player who requested the re-roll.
+   * @throws {Error} If the requester is not the host, if the round is not being
+   * answered, if the letter was already re-rolled or if there's no other
+   * letter to draw.
+   */
+  rerollLetter(requester) {
+    this.#assertHost(requester);
+
+    if (this.#state.type !== "round-answering")
+      throw new Error("Can't re-roll the letter outside of answering state.");
+
+    if (this.#state.rerolled)
+      throw new Error("The letter was already re-rolled this round.");
+
+    const letter = this.#letterDrawer.reroll(this.#settings.letters);
+
+    this.#clock.clearTimeout(this.#state.stopTimeout);
+    this.#clock.clearTimeout(this.#state.stopUnlockTimeout);
+
+    const duration = this.#beginAnswering(letter, true);
+    this.#broadcast({ type: "letter-rerolled", content: { letter, duration } });
   }
 
   /**
@@ -280,56 +1186,126 @@ export default class Room {
     if (requester != undefined && !this.#state.stopAvailable)
       throw new Error("Requesting a stop is not available yet.");
 
-    clearTimeout(this.#state.stopTimeout);
+    this.#clock.clearTimeout(this.#state.stopTimeout);
+    this.#clock.clearTimeout(this.#state.stopUnlockTimeout);
+    const trigger = requester == undefined ? "timeout" : "player";
+    roundStops.inc({ trigger });
+    this.#logger.info("Round stopping", {
+      round: this.#match.round,
+      trigger,
+      requester: requester?.name,
+    });
 
-    this.#state = { type: "round-answering-stopping" };
+    this.#state = {
+      type: "round-answering-stopping",
+      endsAt: this.#clock.now() + this.#settings.timings.stoppingGrace,
+      voteTimeout: this.#clock.setTimeout(() => {
+        this.#beginVoting(requester);
+      }, this.#settings.timings.stoppingGrace),
+    };
     this.#broadcast({
       type: "round-stopping",
       content: { requester: requester?.name },
     });
+  }
 
-    setTimeout(() => {
-      const voteManager = new VoteManager(this.#players, this.#categories);
+  /**
+   * Begins voting on the answers of the round that was just stopped.
+   * @param {Player | undefined} requester - Player who stopped the round, if
+   * it wasn't stopped by time.
+   */
+  #beginVoting(requester) {
+    if (this.#letter == undefined)
+      throw new Error("Round has no letter. This should never be thrown.");
 
-      // Haven't found a way to silence this warning and still have
-      // removeEventListener work.
-      // eslint-disable-next-line unicorn/consistent-function-scoping
-      const votingEndedListener = (/** @type {Event} */ _event) => {
-        const event =
-          /** @type {import("./vote-manager.js").VotingEndedEvent} */ (_event);
+    // Players who join during the voting don't vote or score in this round.
+    const voteManager = new VoteManager([...this.#players], {
+      categories: this.#settings.categories,
+      letter: this.#letter,
+      duration: this.#settings.timings.categoryVote,
+      scoring: scoringStrategies[this.#settings.scoring],
+      dictionary: this.#settings.dictionary,
+      language: this.#settings.language,
+      clock: this.#clock,
+      broadcast: (message) => {
+        this.#broadcast(message);
+      },
+    });
 
-        /** @type {Record<string, number>} */
-        const scores = {};
-        for (const [key, value] of event.scores.entries()) {
-          scores[key.name] = value;
-        }
+    const votingStart = this.#clock.now();
 
-        this.#state = { type: "leaderboard" };
-        this.#broadcast({
-          type: "voting-ended",
-          content: {
-            scores,
-          },
-        });
-      };
+    // Haven't found a way to silence this warning and still have
+    // removeEventListener work.
+    // eslint-disable-next-line unicorn/consistent-function-scoping
+    const votingEndedListener = (/** @type {Event} */ _event) => {
+      const event =
+        /** @type {import("./vote-manager.js").VotingEndedEvent} */ (_event);
+
+      roundsCompleted.inc();
+      votePhaseDuration.observe((this.#clock.now() - votingStart) / 1e3);
+
+      /** @type {Record<string, number>} */
+      const scores = {};
+      for (const [key, value] of event.scores.entries()) {
+        scores[key.name] = value;
+        // Players who left during the voting don't come back to the match.
+        if (this.#players.includes(key))
+          this.#match.scores.set(
+            key,
+            (this.#match.scores.get(key) ?? 0) + value
+          );
+      }
 
-      voteManager.addEventListener("voting-ended", votingEndedListener, {
-        once: true,
+      if (this.#letter == undefined)
+        throw new Error("Round has no letter. This should never be thrown.");
+      this.#match.history.push({
+        round: this.#match.round,
+        letter: this.#letter,
+        stoppedBy: requester?.name,
+        categories: event.results.map(({ category, answers }) => ({
+          category,
+          answers: answers.map(({ player, answer, acceptedBy, score }) => ({
+            player: player.name,
+            answer,
+            acceptedBy: acceptedBy.map((acceptor) => acceptor.name),
+            score,
+          })),
+        })),
+        scores,
       });
-      voteManager.start();
-
-      this.#state = {
-        type: "voting",
-        cleanup: () => {
-          if (this.#state.type !== "voting")
-            throw new Error(
-              `Unexpected round state on cleanup: ${this.#state.type}`
-            );
-
-          voteManager.removeEventListener("voting-ended", votingEndedListener);
-          voteManager.stop();
+
+      this.#state = { type: "leaderboard" };
+      this.#persist();
+      this.#logger.info("Voting ended", { round: this.#match.round, scores });
+      this.#broadcast({
+        type: "voting-ended",
+        content: {
+          round: this.#match.round,
+          scores,
+          totals: this.#totals(),
         },
-      };
-    }, 3e3);
+      });
+
+      if (this.#isMatchOver()) this.#endMatch();
+    };
+
+    voteManager.addEventListener("voting-ended", votingEndedListener, {
+      once: true,
+    });
+    voteManager.start();
+
+    this.#state = {
+      type: "voting",
+      voteManager,
+      cleanup: () => {
+        if (this.#state.type !== "voting")
+          throw new Error(
+            `Unexpected round state on cleanup: ${this.#state.type}`
+          );
+
+        voteManager.removeEventListener("voting-ended", votingEndedListener);
+        voteManager.stop();
+      },
+    };
   }
 }
@@ -1,4 +1,7 @@
 import { randomUUID } from "node:crypto";
+import { systemClock } from "./clock.js";
+import { logger as rootLogger } from "./logger.js";
+import { hashPassword } from "./passwords.js";
 import Room from "./room.js";
 
 /**
@@ -6,6 +9,19 @@ import Room from "./room.js";
  * @typedef {string} RoomID
  */
 
+/**
+ * Time to wait before saving changed rooms, in milliseconds. Changes made in
+ * this period are saved together.
+ */
+const SAVE_DELAY = 1e3;
+
+/** Error thrown when a room is created while the server is at its room cap. */
+export class RoomLimitError extends Error {
+  constructor() {
+    super("Too many rooms");
+  }
+}
+
 /**
  * Manages a list of rooms.
  */
@@ -13,19 +29,79 @@ export default class Rooms {
   /** @type {Map<RoomID, Room>} */
   #rooms = new Map();
 
+  /**
+   * Store where rooms are saved, if any.
+   * @type {import("./room-store.js").RoomStore | undefined}
+   */
+  #store;
+
+  /**
+   * Rooms with changes that weren't saved yet.
+   * @type {Set<Room>}
+   */
+  #unsaved = new Set();
+
+  /** @type {import("./clock.js").Timer | undefined} */
+  #saveTimeout;
+
+  /**
+   * Services given to the rooms.
+   * @type {Partial<import("./room.js").RoomServices>}
+   */
+  #services;
+
+  /**
+   * Clock for the save timer, the same as the rooms use.
+   * @type {import("./clock.js").Clock}
+   */
+  #clock;
+
+  /** @type {import("./logger.js").Logger} */
+  #logger;
+
+  /**
+   * Maximum number of rooms that can be created. Rooms restored from the store
+   * are kept even if they exceed it.
+   * @type {number}
+   */
+  #maxRooms;
+
+  /**
+   * Constructs a new list of rooms.
+   * @param {Partial<import("./room.js").RoomServices>} [services] - Services
+   * given to the rooms. Defaults to the system clock and random number source
+   * and the server logger.
+   * @param {number} [maxRooms] - Maximum number of rooms that can be created.
+   */
+  constructor(services = {}, maxRooms = Number.POSITIVE_INFINITY) {
+    this.#services = services;
+    this.#clock = services.clock ?? systemClock;
+    this.#logger = services.logger ?? rootLogger;
+    this.#maxRooms = maxRooms;
+  }
+
   /**
    * Creates a room with a random ID and adds it to the list of rooms.
    * @param {import("./room.js").RoomParameters} parameters - Parameters of the room.
    * @returns {RoomID} ID of the newly created room.
+   * @throws {RoomLimitError} If there are already too many rooms.
    */
   create(parameters) {
+    if (this.#rooms.size >= this.#maxRooms) throw new RoomLimitError();
+
     let roomID;
     do {
       roomID = randomUUID();
     } while (this.#rooms.get(roomID) != undefined);
 
-    const room = new Room(roomID, parameters);
+    const room = new Room(roomID, parameters, this.#services);
     this.#rooms.set(roomID, room);
+    this.persist(room);
+    room.logger.info("Room created", {
+      public: room.public,
+      capacity: room.capacity,
+      categories: room.categories.length,
+    });
 
     return roomID;
   }
@@ -36,6 +112,19 @@ export default class Rooms {
    */
   remove(room) {
     this.#rooms.delete(room.id);
+    this.#unsaved.delete(room);
+
+    this.#store?.remove(room.id).catch((/** @type {unknown} */ error) => {
+      room.logger.error("Couldn't remove saved room", { error });
+    });
+  }
+
+  /**
+   * Lists all rooms.
+   * @returns {Room[]} - Rooms in the list.
+   */
+  list() {
+    return [...this.#rooms.values()];
   }
 
   /**
@@ -46,4 +135,63 @@ export default class Rooms {
   get(roomID) {
     return this.#rooms.get(roomID);
   }
+
+  /**
+   * Sets the store where rooms are saved and restores the rooms saved in it.
+   * Restored rooms wait for their players to reconnect.
+   * @param {import("./room-store.js").RoomStore} store - Store to use.
+   */
+  async useStore(store) {
+    this.#store = store;
+
+    for (const snapshot of await store.loadAll()) {
+      if (this.#rooms.has(snapshot.id)) continue;
+
+      // Snapshots from before passwords were hashed have them in plain text.
+      const passwordHash =
+        snapshot.passwordHash ?? (await hashPassword(snapshot.password ?? ""));
+      const room = Room.fromSnapshot(
+        { ...snapshot, passwordHash },
+        this.#services
+      );
+      this.#rooms.set(snapshot.id, room);
+      room.logger.info("Room restored", { players: room.playerCount });
+    }
+  }
+
+  /**
+   * Schedules a room to be saved to the store. Does nothing if there's no
+   * store.
+   * @param {Room} room - Room that changed.
+   */
+  persist(room) {
+    if (this.#store == undefined) return;
+
+    this.#unsaved.add(room);
+    this.#saveTimeout ??= this.#clock.setTimeout(() => {
+      this.flush().catch((/** @type {unknown} */ error) => {
+        this.#logger.error("Couldn't save rooms", { error });
+      });
+    }, SAVE_DELAY);
+  }
+
+  /** Saves all rooms with pending changes to the store. */
+  async flush() {
+    this.#clock.clearTimeout(this.#saveTimeout);
+    this.#saveTimeout = undefined;
+
+    const rooms = [...this.#unsaved];
+    this.#unsaved.clear();
+
+    if (this.#store == undefined) return;
+
+    for (const room of rooms) {
+      if (this.#rooms.get(room.id) !== room) continue;
+
+      await this.#store.save(room.snapshot());
+
+      // The room may have been removed while it was being saved.
+      if (this.#rooms.get(room.id) !== room) await this.#store.remove(room.id);
+    }
+  }
 }
@@ -0,0 +1,164 @@
+import { createHash, timingSafeEqual } from "node:crypto";
+import { Router } from "express";
+import { z } from "zod";
+import app from "../app.js";
+
+/**
+ * Token that operators send in the `Authorization` header, as `Bearer token`.
+ * Without `ADMIN_TOKEN`, the admin API is disabled.
+ */
+const ADMIN_TOKEN = process.env["ADMIN_TOKEN"] || undefined;
+
+/** Routes of the admin API, without the token check. */
+const routes = Router();
+
+const closePostSchema = z.object({
+  reason: z
+    .string()
+    .trim()
+    .min(1)
+    .max(300)
+    .describe("Reason for closing the room, shown to everyone in it"),
+});
+
+const kickPostSchema = z.object({
+  name: z.string().describe("Name of the player or spectator to kick"),
+});
+
+const noticePostSchema = z.object({
+  text: z
+    .string()
+    .trim()
+    .min(1)
+    .max(300)
+    .describe("Text of the notice, shown to everyone in every room"),
+});
+
+/**
+ * Checks whether a token is the admin token. The tokens are hashed first so
+ * that they are compared in constant time whatever their lengths.
+ * @param {string} token - Token to check.
+ * @param {string} adminToken - Admin token.
+ * @returns {boolean} - Whether the token is the admin token.
+ */
+function isAdminToken(token, adminToken) {
+  return timingSafeEqual(
+    createHash("sha256").update(token).digest(),
+    createHash("sha256").update(adminToken).digest()
+  );
+}
+
+/**
+ * Describes a room for the operators, with everyone in it.
+ * @param {import("../room.js").default} room - Room to describe.
+ * @returns {object} - Description of the room.
+ */
+function describeRoom(room) {
+  return {
+    id: room.id,
+    name: room.name,
+    state: room.state,
+    public: room.public,
+    hasPassword: room.hasPassword,
+    host: room.host?.name,
+    players: room.players.map((player) => ({
+      name: player.name,
+      connected: player.connected,
+      bot: player.bot,
+    })),
+    spectators: room.spectators.map((spectator) => ({
+      name: spectator.name,
+      connected: spectator.connected,
+    })),
+  };
+}
+
+routes.get("/rooms", (_, response) => {
+  return response.json(app.rooms.list().map((room) => describeRoom(room)));
+});
+
+routes.get("/rooms/:id", (request, response) => {
+  const room = app.rooms.get(request.params.id);
+  if (room == undefined)
+    return response.status(404).send("No room with the given ID");
+
+  return response.json({
+    ...describeRoom(room),
+    settings: room.settings,
+    rounds: room.history.length,
+  });
+});
+
+routes.post("/rooms/:id/close", (request, response) => {
+  const body = closePostSchema.safeParse(request.body);
+  if (!body.success) return response.status(400).send(body.error);
+
+  const room = app.rooms.get(request.params.id);
+  if (room == undefined)
+    return response.status(404).send("No room with the given ID");
+
+  room.close(body.data.reason);
+  return response.status(204).end();
+});
+
+routes.post("/rooms/:id/kick", (request, response) => {
+  const body = kickPostSchema.safeParse(request.body);
+  if (!body.success) return response.status(400).send(body.error);
+
+  const room = app.rooms.get(request.params.id);
+  if (room == undefined)
+    return response.status(404).send("No room with the given ID");
+
+  const { name } = body.data;
+  const player = room.players.find((p) => p.name === name);
+  const spectator = room.spectators.find((s) => s.name === name);
+
+  if (player == undefined && spectator == undefined)
+    return response.status(404).send("No player with the given name");
+
+  if (player != undefined) room.removePlayer(player, "kicked");
+  if (spectator != undefined) room.removeSpectator(spectator, "kicked");
+
+  return response.status(204).end();
+});
+
+routes.post("/notice", (request, response) => {
+  const body = noticePostSchema.safeParse(request.body);
+  if (!body.success) return response.status(400).send(body.error);
+
+  const rooms = app.rooms.list().filter((room) => room.state !== "closed");
+  for (const room of rooms) room.notify(body.data.text);
+
+  return response.json({ rooms: rooms.length });
+});
+
+/**
+ * Creates the router of the admin API, which only lets through requests with
+ * the admin token.
+ * @param {string | undefined} adminToken - Token that operators send in the
+ * `Authorization` header. Without it, the admin API is disabled.
+ * @returns {import("express").Router} - Router of the admin API.
+ */
+export function createAdminRouter(adminToken) {
+  const router = Router();
+
+  router.use((request, response, next) => {
+    if (adminToken == undefined)
+      return response.status(404).send("The admin API is disabled");
+
+    const [scheme, token] = (request.get("Authorization") ?? "").split(" ");
+    if (
+      scheme !== "Bearer" ||
+      token == undefined ||
+      !isAdminToken(token, adminToken)
+    )
+      return response.status(401).send("Invalid admin token");
+
+    next();
+  });
+  router.use(routes);
+
+  return router;
+}
+
+export default createAdminRouter(ADMIN_TOKEN);
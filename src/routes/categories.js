@@ -0,0 +1,10 @@
+import { Router } from "express";
+import { CATEGORY_PACKS } from "../category-packs.js";
+
+const router = Router();
+
+router.get("/packs", (_, response) => {
+  return response.json(CATEGORY_PACKS);
+});
+
+export default router;
@@ -0,0 +1,18 @@
+import { Router } from "express";
+import app from "../app.js";
+
+const router = Router();
+
+// Liveness: the process is up and serving requests.
+router.get("/healthz", (_, response) => {
+  return response.json({ status: "ok" });
+});
+
+// Readiness: the server takes new clients.
+router.get("/readyz", (_, response) => {
+  if (!app.ready) return response.status(503).json({ status: "not-ready" });
+
+  return response.json({ status: "ready" });
+});
+
+export default router;
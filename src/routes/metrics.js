@@ -0,0 +1,12 @@
+import { Router } from "express";
+import { renderMetrics } from "../metrics.js";
+
+const router = Router();
+
+router.get("/", (_, response) => {
+  return response
+    .type("text/plain; version=0.0.4; charset=utf-8")
+    .send(renderMetrics());
+});
+
+export default router;
@@ -0,0 +1,305 @@
+import { Router } from "express";
+import { zodToJsonSchema } from "zod-to-json-schema";
+import CloseCodes from "../close-codes.js";
+import { roundRecordSchema } from "../history.js";
+import { joinQuerySchema } from "../join.js";
+import {
+  fromPlayerMessageSchema,
+  toPlayerMessageSchema,
+} from "../player-messages.js";
+import { PROTOCOL_VERSION, SUPPORTED_PROTOCOL_VERSIONS } from "../protocol.js";
+import { roomSettingsSchema } from "../room-settings.js";
+import {
+  createPostSchema,
+  historyGetSchema,
+  invitePostSchema,
+  listGetSchema,
+} from "./rooms.js";
+
+const router = Router();
+
+/**
+ * Converts a zod schema to an OpenAPI schema object.
+ * @param {import("zod").ZodType} schema - Schema to convert.
+ * @returns {object} - OpenAPI schema object.
+ */
+function openApiSchema(schema) {
+  return zodToJsonSchema(schema, { target: "openApi3", $refStrategy: "none" });
+}
+
+/**
+ * Converts a zod object schema to OpenAPI query parameters, one for each key.
+ * @param {import("zod").ZodObject<Record<string, import("zod").ZodType>>} schema -
+ * Schema of the query.
+ * @returns {object[]} - OpenAPI parameter objects.
+ */
+function queryParameters(schema) {
+  return Object.entries(schema.shape).map(([name, field]) => {
+    return {
+      name,
+      in: "query",
+      required: !field.isOptional(),
+      schema: openApiSchema(field),
+    };
+  });
+}
+
+/**
+ * Builds an OpenAPI response object with a JSON body.
+ * @param {string} description - Description of the response.
+ * @param {import("zod").ZodType} [schema] - Schema of the body, if known.
+ * @returns {object} - OpenAPI response object.
+ */
+function jsonResponse(description, schema) {
+  return {
+    description,
+    content: {
+      "application/json":
+        schema == undefined ? {} : { schema: openApiSchema(schema) },
+    },
+  };
+}
+
+const passwordHeader = {
+  name: "X-Room-Password",
+  in: "header",
+  required: false,
+  schema: { type: "string" },
+  description: "Password of the room, empty if the room has none",
+};
+
+const hostTokenHeader = {
+  name: "X-Player-Token",
+  in: "header",
+  required: true,
+  schema: { type: "string" },
+  description: "Resume token of the host",
+};
+
+const idPath = {
+  name: "id",
+  in: "path",
+  required: true,
+  schema: { type: "string" },
+  description: "ID of the room",
+};
+
+/** OpenAPI document of the REST routes. */
+const openApi = {
+  openapi: "3.0.3",
+  info: { title: "Stop server", version: String(PROTOCOL_VERSION) },
+  paths: {
+    "/rooms": {
+      get: {
+        summary: "Lists the public rooms",
+        parameters: queryParameters(listGetSchema),
+        responses: {
+          200: jsonResponse("Page of public rooms"),
+          400: { description: "Invalid query" },
+        },
+      },
+    },
+    "/rooms/create": {
+      post: {
+        summary: "Creates a room",
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": { schema: openApiSchema(createPostSchema) },
+          },
+        },
+        responses: {
+          201: jsonResponse("ID of the created room"),
+          400: { description: "Invalid settings" },
+          429: { description: "Too many rooms created by this client" },
+          503: { description: "The server has too many rooms" },
+        },
+      },
+    },
+    "/rooms/{id}": {
+      get: {
+        summary: "Gets the state, players and settings of a room",
+        parameters: [idPath, passwordHeader],
+        responses: {
+          200: jsonResponse("State of the room"),
+          403: { description: "Wrong password" },
+          404: { description: "No room with the given ID" },
+          429: { description: "Too many password checks from this client" },
+        },
+      },
+      patch: {
+        summary: "Changes the settings of a room, as the host",
+        parameters: [idPath, hostTokenHeader],
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: openApiSchema(roomSettingsSchema.deepPartial()),
+            },
+          },
+        },
+        responses: {
+          200: jsonResponse("New settings of the room", roomSettingsSchema),
+          400: { description: "Invalid settings" },
+          403: { description: "Requester is not the host" },
+          404: { description: "No room with the given ID" },
+          409: { description: "Settings can't be changed right now" },
+        },
+      },
+    },
+    "/rooms/{id}/invites": {
+      post: {
+        summary: "Creates an invite to join a room without its password",
+        description:
+          "Returns a signed invite token, given to the join routes in the `invite` query parameter instead of the password.",
+        parameters: [idPath, hostTokenHeader],
+        requestBody: {
+          required: false,
+          content: {
+            "application/json": { schema: openApiSchema(invitePostSchema) },
+          },
+        },
+        responses: {
+          201: jsonResponse("Invite token, expiry time and usage limit"),
+          400: { description: "Invalid invite options" },
+          403: { description: "Only the host can create invites" },
+          404: { description: "No room with the given ID" },
+        },
+      },
+    },
+    "/rooms/{id}/history": {
+      get: {
+        summary: "Gets the history of the current or last match of a room",
+        parameters: [
+          idPath,
+          passwordHeader,
+          ...queryParameters(historyGetSchema),
+        ],
+        responses: {
+          200: {
+            description: "Records of the rounds played",
+            content: {
+              "application/json": {
+                schema: openApiSchema(roundRecordSchema.array()),
+              },
+              "text/csv": { schema: { type: "string" } },
+            },
+          },
+          403: { description: "Wrong password" },
+          404: { description: "No room with the given ID" },
+          429: { description: "Too many password checks from this client" },
+        },
+      },
+    },
+    "/rooms/join": {
+      get: {
+        summary: "Joins a room through a WebSocket",
+        description:
+          "Upgrades to a WebSocket that carries the player messages. Failures close the socket with one of the close codes.",
+        parameters: [...queryParameters(joinQuerySchema), passwordHeader],
+        responses: {
+          101: { description: "Switching to WebSocket" },
+          429: { description: "Too many joins from this client" },
+        },
+      },
+    },
+    "/rooms/join/sse": {
+      get: {
+        summary: "Joins a room through Server-Sent Events",
+        description:
+          "Streams a `session` event with the session ID, then `message` events with player messages. Failures send a `close` event with a close code and end the stream.",
+        parameters: [...queryParameters(joinQuerySchema), passwordHeader],
+        responses: {
+          200: {
+            description: "Event stream",
+            content: { "text/event-stream": { schema: { type: "string" } } },
+          },
+          400: { description: "Invalid query" },
+          429: { description: "Too many joins from this client" },
+        },
+      },
+    },
+    "/rooms/join/sse/{session}": {
+      post: {
+        summary: "Sends a message from a player joined through SSE",
+        parameters: [
+          {
+            name: "session",
+            in: "path",
+            required: true,
+            schema: { type: "string" },
+            description: "ID of the SSE session",
+          },
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: openApiSchema(fromPlayerMessageSchema),
+            },
+          },
+        },
+        responses: {
+          202: { description: "Message accepted" },
+          404: { description: "No session with the given ID" },
+        },
+      },
+    },
+    "/categories/packs": {
+      get: {
+        summary: "Lists the category packs that rooms can be created from",
+        responses: { 200: jsonResponse("Category packs") },
+      },
+    },
+    "/metrics": {
+      get: {
+        summary: "Gets the server metrics in the Prometheus text format",
+        responses: {
+          200: {
+            description: "Metrics",
+            content: { "text/plain": { schema: { type: "string" } } },
+          },
+        },
+      },
+    },
+    "/healthz": {
+      get: {
+        summary: "Checks whether the server is alive",
+        responses: { 200: jsonResponse("Server is alive") },
+      },
+    },
+    "/readyz": {
+      get: {
+        summary: "Checks whether the server takes new clients",
+        responses: {
+          200: jsonResponse("Server is ready"),
+          503: jsonResponse("Server is starting or shutting down"),
+        },
+      },
+    },
+    "/protocol": {
+      get: {
+        summary: "Gets this protocol description",
+        responses: { 200: jsonResponse("Protocol description") },
+      },
+    },
+  },
+};
+
+/** Description of the whole protocol, built once as the schemas are static. */
+const protocol = {
+  version: PROTOCOL_VERSION,
+  supportedVersions: SUPPORTED_PROTOCOL_VERSIONS,
+  closeCodes: CloseCodes,
+  messages: {
+    toPlayer: zodToJsonSchema(toPlayerMessageSchema, "ToPlayerMessage"),
+    fromPlayer: zodToJsonSchema(fromPlayerMessageSchema, "FromPlayerMessage"),
+  },
+  openApi,
+};
+
+router.get("/", (_, response) => {
+  return response.json(protocol);
+});
+
+export default router;
@@ -1,26 +1,353 @@
 import { Router } from "express";
 import app from "../app.js";
 import { z } from "zod";
+import { customizeCategories, getCategoryPack } from "../category-packs.js";
+import { historyToCsv } from "../history.js";
+import { hashPassword } from "../passwords.js";
+import { roomSettingsSchema } from "../room-settings.js";
+import { RoomLimitError } from "../rooms.js";
 
 const router = Router();
 
-const createPostSchema = z.object({
-  password: z.string(),
-  letters: z.array(z.string().length(1)).min(1).max(26),
-  categories: z.array(z.string()).min(1).max(32),
+const categoriesSchema = roomSettingsSchema.shape.categories;
+
+export const createPostSchema = roomSettingsSchema
+  .extend({
+    password: z.string().default(""),
+    categories: z
+      .optional(categoriesSchema)
+      .describe("Categories of the room. Required if no pack is given"),
+    pack: z
+      .optional(z.string())
+      .describe("ID of the category pack to take the categories from"),
+    extraCategories: z
+      .array(z.string())
+      .max(32)
+      .default([])
+      .describe("Categories added to the pack or to the given categories"),
+    excludedCategories: z
+      .array(z.string())
+      .max(32)
+      .default([])
+      .describe(
+        "Categories removed from the pack or from the given categories, ignoring case and accents"
+      ),
+  })
+  .transform(
+    (
+      { categories, pack, extraCategories, excludedCategories, ...settings },
+      context
+    ) => {
+      if ((categories == undefined) === (pack == undefined)) {
+        context.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: "Exactly one of categories and pack must be given",
+          path: ["categories"],
+        });
+        return z.NEVER;
+      }
+
+      let base = categories;
+      let language = settings.language;
+      if (pack != undefined) {
+        const categoryPack = getCategoryPack(pack);
+        if (categoryPack == undefined) {
+          context.addIssue({
+            code: z.ZodIssueCode.custom,
+            message: "No category pack with the given ID",
+            path: ["pack"],
+          });
+          return z.NEVER;
+        }
+
+        base = categoryPack.categories;
+        language ??= categoryPack.language;
+      }
+
+      const customized =
+        pack == undefined &&
+        extraCategories.length === 0 &&
+        excludedCategories.length === 0
+          ? base
+          : customizeCategories(
+              base ?? [],
+              extraCategories,
+              excludedCategories
+            );
+
+      // The resulting categories must still respect the room limits.
+      const result = categoriesSchema.safeParse(customized);
+      if (!result.success) {
+        for (const issue of result.error.issues)
+          context.addIssue({ ...issue, path: ["categories", ...issue.path] });
+        return z.NEVER;
+      }
+
+      return { ...settings, language, categories: result.data };
+    }
+  );
+
+export const listGetSchema = z.object({
+  page: z.coerce.number().int().min(1).default(1),
+  pageSize: z.coerce.number().int().min(1).max(50).default(20),
+  state: z.optional(
+    z.union([
+      z.literal("lobby"),
+      z.literal("in-round"),
+      z.literal("leaderboard"),
+    ])
+  ),
+  hasFreeSeats: z.optional(
+    z
+      .union([z.literal("true"), z.literal("false")])
+      .transform((value) => value === "true")
+  ),
+});
+
+export const invitePostSchema = z.object({
+  expiresIn: z
+    .number()
+    .int()
+    .min(60e3)
+    .max(7 * 24 * 60 * 60e3)
+    .default(24 * 60 * 60e3)
+    .describe("Time until the invite expires, in milliseconds"),
+  maxUses: z
+    .number()
+    .int()
+    .min(1)
+    .max(100)
+    .default(1)
+    .describe("Number of times the invite can be used to join"),
+});
+
+export const historyGetSchema = z.object({
+  format: z.union([z.literal("json"), z.literal("csv")]).default("json"),
+});
+
+/**
+ * Gets the state of a room as shown in the room list.
+ * @param {import("../room.js").default} room - Room to get the state of.
+ * @returns {"lobby" | "in-round" | "leaderboard"} - State of the room.
+ */
+function listedState(room) {
+  switch (room.state) {
+    case "lobby":
+    case "closed": {
+      return "lobby";
+    }
+    case "leaderboard": {
+      return "leaderboard";
+    }
+    default: {
+      return "in-round";
+    }
+  }
+}
+
+router.get("/", (request, response) => {
+  const query = listGetSchema.safeParse(request.query);
+
+  if (!query.success) return response.status(400).send(query.error);
+
+  const { page, pageSize, state, hasFreeSeats } = query.data;
+
+  const rooms = app.rooms
+    .list()
+    .filter((room) => room.public && room.state !== "closed")
+    .map((room) => ({
+      id: room.id,
+      name: room.name,
+      players: room.playerCount,
+      capacity: room.capacity,
+      state: listedState(room),
+      categories: room.categories,
+      hasPassword: room.hasPassword,
+    }))
+    .filter(
+      (room) =>
+        (state == undefined || room.state === state) &&
+        (hasFreeSeats == undefined ||
+          room.players < room.capacity === hasFreeSeats)
+    );
+
+  return response.json({
+    rooms: rooms.slice((page - 1) * pageSize, page * pageSize),
+    page,
+    pageSize,
+    total: rooms.length,
+  });
 });
 
-router.post("/create", (request, response) => {
+router.post("/create", (request, response, next) => {
+  if (!app.createLimiter.tryAcquire(request.ip ?? ""))
+    return response.status(429).send("Too many rooms created, try again later");
+
   const body = createPostSchema.safeParse(request.body);
 
   if (!body.success) return response.status(400).send(body.error);
 
-  const roomID = app.rooms.create({
-    password: body.data.password,
-    letters: body.data.letters,
-    categories: body.data.categories,
+  const { password, ...settings } = body.data;
+  hashPassword(password)
+    .then((passwordHash) => {
+      const roomID = app.rooms.create({ ...settings, passwordHash });
+      response.status(201).json({ id: roomID });
+    })
+    .catch((/** @type {unknown} */ error) => {
+      if (error instanceof RoomLimitError)
+        response.status(503).send("Too many rooms, try again later");
+      else next(error);
+    });
+});
+
+/**
+ * Checks whether a value is a plain object.
+ * @param {unknown} value - Value to check.
+ * @returns {value is Record<string, unknown>} - Whether the value is a plain
+ * object.
+ */
+function isPlainObject(value) {
+  return (
+    typeof value === "object" && value != undefined && !Array.isArray(value)
+  );
+}
+
+/**
+ * Merges a settings patch into the current settings. Settings objects like
+ * `timings` are merged one level deep, other values are replaced.
+ * @param {import("../room-settings.js").RoomSettings} current - Current
+ * settings.
+ * @param {unknown} patch - Settings to change.
+ * @returns {unknown} - Merged settings, to be validated.
+ */
+function mergeSettings(current, patch) {
+  if (!isPlainObject(patch)) return patch;
+
+  /** @type {Record<string, unknown>} */
+  const merged = { ...current };
+  for (const [key, value] of Object.entries(patch)) {
+    const currentValue = merged[key];
+    merged[key] =
+      isPlainObject(value) && isPlainObject(currentValue)
+        ? { ...currentValue, ...value }
+        : value;
+  }
+
+  return merged;
+}
+
+/**
+ * Lets through only requests with the password of the room in the
+ * `X-Room-Password` header. Checks of rooms with a password count towards the
+ * join rate limit, as they could be used to guess the password.
+ * @type {import("express").RequestHandler<{ id: string }>}
+ */
+function requireRoomPassword(request, response, next) {
+  const room = app.rooms.get(request.params.id);
+  if (room == undefined) {
+    response.status(404).send("No room with the given ID");
+    return;
+  }
+
+  if (room.hasPassword && !app.joinLimiter.tryAcquire(request.ip ?? "")) {
+    response.status(429).send("Too many attempts, try again later");
+    return;
+  }
+
+  room
+    .checkPassword(request.get("X-Room-Password") ?? "")
+    .then((valid) => {
+      if (valid) next();
+      else response.status(403).send("Wrong password");
+    })
+    .catch((/** @type {unknown} */ error) => {
+      next(error);
+    });
+}
+
+router.get("/:id", requireRoomPassword, (request, response) => {
+  const room = app.rooms.get(request.params.id);
+  if (room == undefined)
+    return response.status(404).send("No room with the given ID");
+
+  return response.json({
+    id: room.id,
+    state: room.state,
+    host: room.host?.name,
+    players: room.players.map((player) => ({
+      name: player.name,
+      connected: player.connected,
+    })),
+    spectators: room.spectators.map((spectator) => spectator.name),
+    settings: room.settings,
+  });
+});
+
+router.get("/:id/history", requireRoomPassword, (request, response) => {
+  const query = historyGetSchema.safeParse(request.query);
+  if (!query.success) return response.status(400).send(query.error);
+
+  const room = app.rooms.get(request.params.id);
+  if (room == undefined)
+    return response.status(404).send("No room with the given ID");
+
+  if (query.data.format === "csv")
+    return response
+      .type("text/csv")
+      .attachment(`${room.id}-history.csv`)
+      .send(historyToCsv(room.history));
+
+  return response.json(room.history);
+});
+
+router.post("/:id/invites", (request, response) => {
+  const room = app.rooms.get(request.params.id);
+  if (room == undefined)
+    return response.status(404).send("No room with the given ID");
+
+  const player = room.getPlayerByResumeToken(
+    request.get("X-Player-Token") ?? ""
+  );
+  if (player == undefined || player !== room.host)
+    return response.status(403).send("Only the host can create invites");
+
+  const body = invitePostSchema.safeParse(request.body ?? {});
+  if (!body.success) return response.status(400).send(body.error);
+
+  const { invite, token } = room.createInvite(
+    body.data.expiresIn,
+    body.data.maxUses
+  );
+  return response.status(201).json({
+    token,
+    expiresAt: invite.expiresAt,
+    maxUses: invite.maxUses,
   });
-  return response.status(201).json({ id: roomID });
+});
+
+router.patch("/:id", (request, response) => {
+  const room = app.rooms.get(request.params.id);
+  if (room == undefined)
+    return response.status(404).send("No room with the given ID");
+
+  const player = room.getPlayerByResumeToken(
+    request.get("X-Player-Token") ?? ""
+  );
+  if (player == undefined || player !== room.host)
+    return response.status(403).send("Only the host can change the settings");
+
+  const settings = roomSettingsSchema
+    .strict()
+    .safeParse(mergeSettings(room.settings, request.body));
+  if (!settings.success) return response.status(400).send(settings.error);
+
+  try {
+    room.updateSettings(player, settings.data);
+  } catch (error) {
+    return response.status(409).send(String(error));
+  }
+
+  return response.json(room.settings);
 });
 
 export default router;
@@ -0,0 +1,48 @@
+import { Router } from "express";
+import app from "../app.js";
+import { joinQuerySchema, joinRoom } from "../join.js";
+import { logger } from "../logger.js";
+import { SseTransport } from "../transport.js";
+
+const router = Router();
+
+/**
+ * Open SSE sessions by ID.
+ * @type {Map<string, SseTransport>}
+ */
+const sessions = new Map();
+
+router.get("/", (request, response) => {
+  if (!app.joinLimiter.tryAcquire(request.ip ?? ""))
+    return response.status(429).send("Too many joins, try again later");
+
+  const query = joinQuerySchema.safeParse({
+    ...request.query,
+    // A password in a header isn't logged with the URL, so it takes precedence.
+    room_password:
+      request.get("X-Room-Password") ?? request.query["room_password"],
+  });
+  if (!query.success) return response.status(400).send(query.error);
+
+  const transport = new SseTransport(response);
+  sessions.set(transport.id, transport);
+  transport.onClose(() => {
+    sessions.delete(transport.id);
+  });
+
+  joinRoom(query.data, transport).catch((/** @type {unknown} */ error) => {
+    logger.error("Couldn't join room", { error });
+  });
+});
+
+router.post("/:session", (request, response) => {
+  const transport = sessions.get(request.params.session);
+  if (transport == undefined || transport.closed)
+    return response.status(404).send("No session with the given ID");
+
+  transport.receive(request.body);
+
+  return response.status(202).end();
+});
+
+export default router;
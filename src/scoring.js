@@ -0,0 +1,56 @@
+/**
+ * Answers and votes of a category.
+ * @typedef {object} CategoryBallot
+ * @property {Map<import("./player.js").default, string>} answers - Answer of
+ * each player who answered the category.
+ * @property {Map<string, number>} acceptances - Number of players who accepted
+ * each answer.
+ * @property {number} voters - Number of players who voted.
+ */
+
+/**
+ * Calculates the scores of the players in a category.
+ * @callback ScoringStrategy
+ * @param {CategoryBallot} ballot - Answers and votes of the category.
+ * @returns {Map<import("./player.js").default, number>} - Scores of the
+ * players who answered the category.
+ */
+
+/**
+ * Gives each answer one point per player who accepted it.
+ * @type {ScoringStrategy}
+ */
+function votes({ answers, acceptances }) {
+  return new Map(
+    [...answers].map(([player, answer]) => [
+      player,
+      acceptances.get(answer) ?? 0,
+    ])
+  );
+}
+
+/**
+ * Classic adedanha scoring. An answer is valid if accepted by a majority of
+ * the voters. Valid answers are worth 10 points if unique and 5 points if
+ * given by more than one player. Invalid answers are worth nothing.
+ * @type {ScoringStrategy}
+ */
+function classic({ answers, acceptances, voters }) {
+  /** @type {Map<string, number>} */
+  const occurrences = new Map();
+  for (const answer of answers.values())
+    occurrences.set(answer, (occurrences.get(answer) ?? 0) + 1);
+
+  return new Map(
+    [...answers].map(([player, answer]) => {
+      const valid = (acceptances.get(answer) ?? 0) > voters / 2;
+      if (!valid) return [player, 0];
+
+      return [player, (occurrences.get(answer) ?? 0) > 1 ? 5 : 10];
+    })
+  );
+}
+
+/** Scoring strategies that rooms can choose from, by name. */
+export const scoringStrategies = /** @type {const} */ ({ votes, classic });
+/** @typedef {keyof typeof scoringStrategies} ScoringStrategyName */
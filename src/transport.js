@@ -0,0 +1,223 @@
+import { randomUUID } from "node:crypto";
+import { WebSocket } from "ws";
+import { malformedMessageCloses } from "./metrics.js";
+
+/**
+ * Connection between the server and a player client. Players talk to their
+ * clients only through a transport, so rooms behave the same whichever one a
+ * client uses.
+ * @typedef {object} Transport
+ * @property {(message: import("./player-messages.js").ToPlayerMessage) => void} send -
+ * Sends a message to the client.
+ * @property {(code: number, reason: string) => void} close - Closes the
+ * connection, telling the client why. Uses the codes in `close-codes.js`.
+ * @property {() => void} terminate - Drops the connection without telling the
+ * client.
+ * @property {(listener: (data: unknown) => void) => void} onMessage - Adds a
+ * listener for messages from the client. Messages are already parsed from JSON
+ * but not validated.
+ * @property {(listener: () => void) => void} onClose - Adds a listener for when
+ * the connection is closed, by either side.
+ * @property {boolean} closed - Whether the connection is closed. Listeners
+ * added after it closed are never called.
+ */
+
+/**
+ * Transport over a WebSocket.
+ * @implements {Transport}
+ */
+export class WebSocketTransport {
+  /** @type {import("ws").WebSocket} */
+  #ws;
+
+  /**
+   * Constructs a new WebSocket transport.
+   * @param {import("ws").WebSocket} ws - WebSocket to the client.
+   */
+  constructor(ws) {
+    this.#ws = ws;
+  }
+
+  /** @returns {boolean} - Whether the WebSocket is closed. */
+  get closed() {
+    return this.#ws.readyState === WebSocket.CLOSED;
+  }
+
+  /**
+   * Sends a message to the client.
+   * @param {import("./player-messages.js").ToPlayerMessage} message - Message
+   * to send.
+   */
+  send(message) {
+    this.#ws.send(JSON.stringify(message));
+  }
+
+  /**
+   * Closes the connection, telling the client why.
+   * @param {number} code - Close code.
+   * @param {string} reason - Reason for closing.
+   */
+  close(code, reason) {
+    this.#ws.close(code, reason);
+  }
+
+  /** Drops the connection without telling the client. */
+  terminate() {
+    this.#ws.terminate();
+  }
+
+  /**
+   * Adds a listener for messages from the client. Messages that aren't valid
+   * JSON close the connection.
+   * @param {(data: unknown) => void} listener - Listener to add.
+   */
+  onMessage(listener) {
+    this.#ws.on("message", (rawData) => {
+      /** @type {unknown} */
+      let data;
+      try {
+        // eslint-disable-next-line @typescript-eslint/no-base-to-string
+        data = JSON.parse(rawData.toString());
+      } catch {
+        malformedMessageCloses.inc();
+        this.#ws.close(1008, "Couldn't parse message");
+        return;
+      }
+
+      listener(data);
+    });
+  }
+
+  /**
+   * Adds a listener for when the connection is closed.
+   * @param {() => void} listener - Listener to add.
+   */
+  onClose(listener) {
+    this.#ws.on("close", () => {
+      listener();
+    });
+  }
+}
+
+/**
+ * Transport over Server-Sent Events, for clients that can't open WebSockets.
+ * Messages to the client go through an event stream, and messages from the
+ * client arrive through HTTP requests that are handed to {@link receive}.
+ *
+ * The stream starts with a `session` event holding the ID that the client must
+ * use to send its messages. Closing the connection sends a `close` event with
+ * the code and reason before ending the stream.
+ * @implements {Transport}
+ */
+export class SseTransport {
+  /**
+   * ID of the session, which the client uses to send messages.
+   * @type {string}
+   * @readonly
+   */
+  id = randomUUID();
+
+  /** @type {import("express").Response} */
+  #response;
+
+  /** @type {((data: unknown) => void)[]} */
+  #messageListeners = [];
+
+  /**
+   * Whether the stream was ended.
+   * @type {boolean}
+   */
+  #closed = false;
+
+  /** @returns {boolean} - Whether the stream was ended. */
+  get closed() {
+    return this.#closed;
+  }
+
+  /**
+   * Constructs a new SSE transport, starting the event stream.
+   * @param {import("express").Response} response - Response to stream the
+   * events through.
+   */
+  constructor(response) {
+    this.#response = response;
+
+    response.on("close", () => {
+      this.#closed = true;
+    });
+
+    response.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    this.#write("session", { id: this.id });
+  }
+
+  /**
+   * Writes an event to the stream.
+   * @param {string} event - Name of the event.
+   * @param {unknown} data - Data of the event, written as JSON.
+   */
+  #write(event, data) {
+    if (this.#closed) return;
+
+    this.#response.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * Sends a message to the client.
+   * @param {import("./player-messages.js").ToPlayerMessage} message - Message
+   * to send.
+   */
+  send(message) {
+    this.#write("message", message);
+  }
+
+  /**
+   * Closes the connection, telling the client why.
+   * @param {number} code - Close code.
+   * @param {string} reason - Reason for closing.
+   */
+  close(code, reason) {
+    this.#write("close", { code, reason });
+    this.terminate();
+  }
+
+  /** Drops the connection without telling the client. */
+  terminate() {
+    if (this.#closed) return;
+
+    this.#closed = true;
+    this.#response.end();
+  }
+
+  /**
+   * Hands a message from the client to the message listeners. Messages that
+   * arrive after the stream ended are dropped.
+   * @param {unknown} data - Message from the client.
+   */
+  receive(data) {
+    if (this.#closed) return;
+
+    for (const listener of this.#messageListeners) listener(data);
+  }
+
+  /**
+   * Adds a listener for messages from the client.
+   * @param {(data: unknown) => void} listener - Listener to add.
+   */
+  onMessage(listener) {
+    this.#messageListeners.push(listener);
+  }
+
+  /**
+   * Adds a listener for when the connection is closed.
+   * @param {() => void} listener - Listener to add.
+   */
+  onClose(listener) {
+    this.#response.on("close", () => {
+      listener();
+    });
+  }
+}
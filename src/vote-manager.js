@@ -1,22 +1,64 @@
+import { answerKey, startsWithLetter } from "./answers.js";
+import { classifyAnswer, isKnownAnswer } from "./dictionary.js";
+
+/**
+ * @typedef {object} VoteManagerParameters
+ * @property {string[]} categories - Categories to vote in.
+ * @property {string} letter - Letter of the round.
+ * @property {number} duration - Duration of the voting period of each
+ * category, in milliseconds.
+ * @property {import("./scoring.js").ScoringStrategy} scoring - Strategy used to
+ * score the answers.
+ * @property {import("./room-settings.js").DictionarySettings} dictionary -
+ * How the dictionary assists the voting.
+ * @property {string | undefined} language - BCP 47 tag of the language of the
+ * categories, which decides whether the dictionary knows them.
+ * @property {import("./clock.js").Clock} clock - Clock for the voting timers.
+ * @property {(message: import("./player-messages.js").ToPlayerMessage) => void} broadcast -
+ * Sends a message to everyone in the room, including spectators.
+ */
+
+/**
+ * @typedef {object} AnswerResult
+ * @property {import("./player.js").default} player - Player who gave the
+ * answer.
+ * @property {string} answer - Answer as given by the player.
+ * @property {import("./player.js").default[]} acceptedBy - Players who accepted
+ * the answer.
+ * @property {number} score - Score given for the answer.
+ */
+
+/**
+ * @typedef {object} CategoryResult
+ * @property {string} category - Name of the category.
+ * @property {AnswerResult[]} answers - Answers given to the category.
+ */
+
 // TODO Make events type safe
 export class VotingEndedEvent extends Event {
   /** @type {Map<import("./player.js").default, number>} */
   scores;
 
+  /** @type {CategoryResult[]} */
+  results;
+
   /**
    * Constructs a new voting ended event.
    * @param {Map<import("./player.js").default, number>} scores - Scores of the
    * players after voting.
+   * @param {CategoryResult[]} results - Answers, votes and scores of each
+   * category.
    */
-  constructor(scores) {
+  constructor(scores, results) {
     super("voting-ended");
 
     this.scores = scores;
+    this.results = results;
   }
 }
 
 export default class VoteManager extends EventTarget {
-  /** @type {NodeJS.Timeout | undefined} */
+  /** @type {import("./clock.js").Timer | undefined} */
   #categoryInterval;
 
   /** @type {import("./player.js").default[]} */
@@ -25,16 +67,150 @@ export default class VoteManager extends EventTarget {
   /** @type {string[]} */
   #categories;
 
+  /**
+   * Letter of the round. Answers that don't start with it are discarded.
+   * @type {string}
+   */
+  #letter;
+
+  /**
+   * Duration of the voting period of each category, in milliseconds.
+   * @type {number}
+   */
+  #duration;
+
+  /** @type {import("./scoring.js").ScoringStrategy} */
+  #scoring;
+
+  /** @type {import("./room-settings.js").DictionarySettings} */
+  #dictionary;
+
+  /** @type {string | undefined} */
+  #language;
+
+  /** @type {VoteManagerParameters["broadcast"]} */
+  #broadcast;
+
+  /** @type {import("./clock.js").Clock} */
+  #clock;
+
+  /**
+   * Category open for voting, as broadcast when its vote started, if any.
+   * @type {import("./player-messages.js").CategoryVoteStartedMessage["content"] | undefined}
+   */
+  #openVote;
+
+  /**
+   * Time when the voting moves on to the next category, in milliseconds.
+   * @type {number}
+   */
+  #nextCategoryAt = 0;
+
+  /**
+   * @returns {import("./player-messages.js").CategoryVoteStartedMessage["content"] | undefined} -
+   * Category open for voting, as broadcast when its vote started, if any.
+   */
+  get openVote() {
+    return structuredClone(this.#openVote);
+  }
+
+  /**
+   * @returns {number} - Time left until the voting moves on to the next
+   * category, in milliseconds.
+   */
+  get timeLeft() {
+    return Math.max(this.#nextCategoryAt - this.#clock.now(), 0);
+  }
+
   /**
    * Constructs a new vote manager.
-   * @param {import("./player.js").default[]} players - Players in the room.
-   * @param {string[]} categories - Categories available in the room.
+   * @param {import("./player.js").default[]} players - Players who vote in the
+   * round. Players who join later aren't added to it.
+   * @param {VoteManagerParameters} parameters - Parameters of the voting.
    */
-  constructor(players, categories) {
+  constructor(players, parameters) {
     super();
 
     this.#players = players;
-    this.#categories = categories;
+    this.#categories = parameters.categories;
+    this.#letter = parameters.letter;
+    this.#duration = parameters.duration;
+    this.#scoring = parameters.scoring;
+    this.#dictionary = parameters.dictionary;
+    this.#language = parameters.language;
+    this.#broadcast = parameters.broadcast;
+    this.#clock = parameters.clock;
+  }
+
+  /**
+   * Gets the answers given to a category. Answers that differ only in case or
+   * accents are merged into the first of them that was given, and answers that
+   * don't start with the round letter are discarded.
+   * @param {string} category - Category to get the answers of.
+   * @returns {Map<import("./player.js").default, string>} - Answer of each
+   * player who gave a valid answer.
+   */
+  #getAnswers(category) {
+    /** @type {Map<string, string>} */
+    const answersByKey = new Map();
+
+    /** @type {Map<import("./player.js").default, string>} */
+    const answers = new Map();
+
+    for (const player of this.#players) {
+      const answer = player.answers.get(category);
+      if (answer == undefined || !startsWithLetter(answer, this.#letter))
+        continue;
+
+      const key = answerKey(answer);
+      if (!answersByKey.has(key)) answersByKey.set(key, answer);
+      answers.set(player, answersByKey.get(key) ?? answer);
+    }
+
+    return answers;
+  }
+
+  /**
+   * Checks whether an answer is accepted regardless of votes, for being in
+   * the dictionary when the room auto-accepts known answers.
+   * @param {string} category - Category of the answer.
+   * @param {string} answer - Answer to check.
+   * @returns {boolean} - Whether the answer is accepted automatically.
+   */
+  #isAutoAccepted(category, answer) {
+    return (
+      this.#dictionary.autoAcceptKnown &&
+      startsWithLetter(answer, this.#letter) &&
+      isKnownAnswer(category, answer, this.#language) === true
+    );
+  }
+
+  /**
+   * Gets the dictionary hints of every distinct answer given to a category,
+   * including the ones that don't start with the round letter.
+   * @param {string} category - Category to get the hints of.
+   * @returns {{
+   *   answer: string,
+   *   hint: import("./dictionary.js").AnswerHint,
+   *   autoAccepted: boolean,
+   * }[]} - Hint of each answer.
+   */
+  #getHints(category) {
+    /** @type {Map<string, string>} */
+    const answersByKey = new Map();
+    for (const player of this.#players) {
+      const answer = player.answers.get(category);
+      if (answer == undefined || answer === "") continue;
+
+      const key = answerKey(answer);
+      if (!answersByKey.has(key)) answersByKey.set(key, answer);
+    }
+
+    return [...answersByKey.values()].map((answer) => ({
+      answer,
+      hint: classifyAnswer(category, this.#letter, answer, this.#language),
+      autoAccepted: this.#isAutoAccepted(category, answer),
+    }));
   }
 
   /**
@@ -43,49 +219,92 @@ export default class VoteManager extends EventTarget {
    * @param {number} duration - Duration of the voting period.
    */
   #beginVotingFor(category, duration) {
-    const answers = new Set(
-      this.#players.flatMap((player) => player.answers.get(category) ?? [])
-    );
+    const answers = new Set(this.#getAnswers(category).values());
 
-    for (const player of this.#players) {
-      player.send({
-        type: "category-vote-started",
-        content: {
-          category,
-          answers: [...answers],
-          duration,
-        },
-      });
-    }
+    this.#openVote = {
+      category,
+      answers: [...answers],
+      hints: this.#dictionary.hints ? this.#getHints(category) : undefined,
+      duration,
+    };
+    this.#broadcast({
+      type: "category-vote-started",
+      content: this.#openVote,
+    });
   }
 
   /**
    * Calculates player scores for a category.
    * @param {string} category - Category to calculate scores for.
-   * @returns {Map<import("./player.js").default, number>} - Scores of the
-   * players.
+   * @returns {{
+   *   scores: Map<import("./player.js").default, number>,
+   *   result: CategoryResult,
+   * }} - Scores of the players and the results of the category.
    */
   #calculateCategoryScores(category) {
-    const answers = [
-      ...new Set(
-        this.#players.flatMap((player) => player.answers.get(category) ?? [])
-      ),
-    ];
+    const answers = this.#getAnswers(category);
 
-    const answerScores = new Map(answers.map((answer) => [answer, 0]));
-    for (const vote of this.#players.flatMap((player) => [...player.votes]))
-      answerScores.set(vote, (answerScores.get(vote) ?? 0) + 1);
+    // Only players who got the ballot of the category voted in it.
+    const voters = this.#players.filter((player) => player.votes.has(category));
 
-    const playerScores = new Map(
-      this.#players.map((player) => {
-        const answer = player.answers.get(category);
-        const score = answer ? answerScores.get(answer) ?? 0 : 0;
+    // Votes are compared by key so each player accepts an answer only once.
+    /** @type {Map<string, import("./player.js").default[]>} */
+    const acceptorsByKey = new Map();
+    for (const player of voters) {
+      const acceptedKeys = new Set(
+        [...(player.votes.get(category) ?? [])].map((vote) => answerKey(vote))
+      );
+      for (const key of acceptedKeys)
+        acceptorsByKey.set(key, [...(acceptorsByKey.get(key) ?? []), player]);
+    }
+    const acceptancesByKey = new Map(
+      [...acceptorsByKey].map(([key, acceptors]) => [key, acceptors.length])
+    );
+    // Auto-accepted answers score as if everyone accepted them, but the
+    // results still record who actually did.
+    for (const answer of new Set(answers.values()))
+      if (this.#isAutoAccepted(category, answer))
+        acceptancesByKey.set(answerKey(answer), voters.length);
 
-        return [player, score];
-      })
+    const acceptances = new Map(
+      [...new Set(answers.values())].map((answer) => [
+        answer,
+        acceptancesByKey.get(answerKey(answer)) ?? 0,
+      ])
     );
 
-    return playerScores;
+    const answerScores = this.#scoring({
+      answers,
+      acceptances,
+      voters: voters.length,
+    });
+
+    const playerScores = new Map(
+      this.#players.map((player) => [player, answerScores.get(player) ?? 0])
+    );
+
+    /** @type {AnswerResult[]} */
+    const answerResults = [];
+    for (const player of this.#players) {
+      const answer = player.answers.get(category);
+      if (answer == undefined || answer === "") continue;
+
+      // Answers that don't start with the letter were never voted on.
+      const acceptedBy = answers.has(player)
+        ? acceptorsByKey.get(answerKey(answer)) ?? []
+        : [];
+      answerResults.push({
+        player,
+        answer,
+        acceptedBy,
+        score: playerScores.get(player) ?? 0,
+      });
+    }
+
+    return {
+      scores: playerScores,
+      result: { category, answers: answerResults },
+    };
   }
 
   /**
@@ -93,13 +312,16 @@ export default class VoteManager extends EventTarget {
    * Will fire a `voting-ended` event when voting is over.
    */
   start() {
-    const DURATION = 7500;
-
     let categoryIndex = 0;
 
     const scores = new Map(this.#players.map((player) => [player, 0]));
+    /** @type {CategoryResult[]} */
+    const results = [];
+
+    this.#nextCategoryAt = this.#clock.now() + this.#duration;
+    this.#categoryInterval = this.#clock.setInterval(() => {
+      this.#nextCategoryAt = this.#clock.now() + this.#duration;
 
-    const interval = setInterval(() => {
       // Add scores from the previous category to the total scores
       if (categoryIndex > 0) {
         const previousCategory = this.#categories[categoryIndex - 1];
@@ -108,15 +330,18 @@ export default class VoteManager extends EventTarget {
             `No category at index ${categoryIndex - 1}. This should never be thrown.`
           );
 
-        const categoryScores = this.#calculateCategoryScores(previousCategory);
+        const { scores: categoryScores, result } =
+          this.#calculateCategoryScores(previousCategory);
         for (const [player, score] of categoryScores) {
           scores.set(player, (scores.get(player) ?? 0) + score);
         }
+        results.push(result);
       }
 
       if (categoryIndex >= this.#categories.length) {
-        clearInterval(interval);
-        this.dispatchEvent(new VotingEndedEvent(scores));
+        this.#openVote = undefined;
+        this.stop();
+        this.dispatchEvent(new VotingEndedEvent(scores, results));
         return;
       }
 
@@ -126,16 +351,15 @@ export default class VoteManager extends EventTarget {
           `No category at index ${categoryIndex}. This should never be thrown.`
         );
 
-      this.#beginVotingFor(category, DURATION);
+      this.#beginVotingFor(category, this.#duration);
 
       ++categoryIndex;
-    }, DURATION);
+    }, this.#duration);
   }
 
   /** Interrupts the voting process. */
   stop() {
-    if (this.#categoryInterval != undefined)
-      clearInterval(this.#categoryInterval);
+    this.#clock.clearInterval(this.#categoryInterval);
     this.#categoryInterval = undefined;
   }
 }
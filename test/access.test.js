@@ -0,0 +1,131 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import app from "../src/app.js";
+import CloseCodes from "../src/close-codes.js";
+import { joinQuerySchema, joinRoom } from "../src/join.js";
+import { Logger } from "../src/logger.js";
+import { hashPassword } from "../src/passwords.js";
+import { PROTOCOL_VERSION } from "../src/protocol.js";
+import Room from "../src/room.js";
+import Rooms from "../src/rooms.js";
+import { roomSettingsSchema } from "../src/room-settings.js";
+import { FakeClock, FakeTransport, createRoom } from "./fakes.js";
+
+describe("room passwords", () => {
+  it("are checked against a hash that is saved instead of the password", async () => {
+    const { room } = createRoom({}, await hashPassword("segredo"));
+
+    assert.ok(room.hasPassword);
+    assert.ok(await room.checkPassword("segredo"));
+    assert.ok(!(await room.checkPassword("Segredo")));
+    assert.ok(!(await room.checkPassword("")));
+
+    const snapshot = room.snapshot();
+    assert.equal(snapshot.password, undefined);
+    assert.ok(!JSON.stringify(snapshot).includes("segredo"));
+
+    const restored = Room.fromSnapshot(snapshot, { clock: new FakeClock() });
+    assert.ok(await restored.checkPassword("segredo"));
+  });
+
+  it("are hashed when restored from snapshots that saved them in plain text", async () => {
+    const { room } = createRoom();
+    const snapshot = room.snapshot();
+    delete snapshot.passwordHash;
+
+    const rooms = new Rooms({
+      clock: new FakeClock(),
+      logger: new Logger({ sink: () => {} }),
+    });
+    await rooms.useStore({
+      save: () => Promise.resolve(),
+      remove: () => Promise.resolve(),
+      loadAll: () => Promise.resolve([{ ...snapshot, password: "antiga" }]),
+    });
+
+    const restored = rooms.get(snapshot.id);
+    assert.ok(restored);
+    assert.ok(await restored.checkPassword("antiga"));
+    assert.ok(!restored.snapshot().passwordHash?.includes("antiga"));
+  });
+
+  it("don't add clients that leave while their password is checked", async () => {
+    app.rooms = new Rooms({
+      clock: new FakeClock(),
+      logger: new Logger({ sink: () => {} }),
+    });
+    const id = app.rooms.create({
+      ...roomSettingsSchema.parse({ letters: ["S"], categories: ["Cor"] }),
+      passwordHash: await hashPassword("segredo"),
+    });
+
+    const transport = new FakeTransport();
+    const joining = joinRoom(
+      joinQuerySchema.parse({
+        nickname: "a",
+        room_id: id,
+        room_password: "segredo",
+        protocol_version: PROTOCOL_VERSION,
+      }),
+      transport
+    );
+    transport.disconnect();
+    await joining;
+
+    assert.deepEqual(app.rooms.get(id)?.players, []);
+  });
+});
+
+describe("room invites", () => {
+  it("expire and can only be used a limited number of times", async () => {
+    const { room, clock } = createRoom({}, await hashPassword("segredo"));
+
+    const { token, invite } = room.createInvite(60e3, 2);
+    assert.deepEqual(room.checkInvite(token), invite);
+
+    room.useInvite(invite);
+    assert.ok(room.checkInvite(token));
+    room.useInvite(invite);
+    assert.equal(room.checkInvite(token), undefined);
+
+    const { token: expiring } = room.createInvite(60e3, 1);
+    clock.advance(60e3);
+    assert.equal(room.checkInvite(expiring), undefined);
+  });
+
+  it("are rejected if tampered with or meant for another room", () => {
+    const { room, clock } = createRoom();
+    const other = Room.fromSnapshot(
+      { ...room.snapshot(), id: "other-room" },
+      { clock }
+    );
+
+    const { token } = room.createInvite(60e3, 1);
+    const [payload, signature] = token.split(".");
+    const tampered = `${Buffer.from(
+      JSON.stringify({
+        ...JSON.parse(Buffer.from(payload ?? "", "base64url").toString()),
+        maxUses: 100,
+      })
+    ).toString("base64url")}.${signature ?? ""}`;
+
+    assert.equal(room.checkInvite(tampered), undefined);
+    assert.equal(room.checkInvite("not-a-token"), undefined);
+    assert.equal(other.checkInvite(token), undefined);
+  });
+});
+
+describe("protocol versions", () => {
+  it("turn away clients that don't send one", async () => {
+    const transport = new FakeTransport();
+    await joinRoom(
+      joinQuerySchema.parse({ nickname: "a", room_id: "test-room" }),
+      transport
+    );
+
+    assert.equal(
+      transport.closedWith?.code,
+      CloseCodes.UNSUPPORTED_PROTOCOL_VERSION
+    );
+  });
+});
@@ -0,0 +1,119 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import bodyParser from "body-parser";
+import express from "express";
+import app from "../src/app.js";
+import { Logger } from "../src/logger.js";
+import { roomSettingsSchema } from "../src/room-settings.js";
+import Rooms from "../src/rooms.js";
+import { createAdminRouter } from "../src/routes/admin.js";
+import { FakeClock, join } from "./fakes.js";
+
+/**
+ * Starts a server with the admin API under `/admin`.
+ * @param {string} [adminToken] - Admin token of the API. Without it, the API
+ * is disabled.
+ * @returns {Promise<import("node:http").Server>} - Listening server.
+ */
+function listen(adminToken) {
+  const server = express();
+  server.use(bodyParser.json());
+  server.use("/admin", createAdminRouter(adminToken));
+
+  return new Promise((resolve) => {
+    const httpServer = server.listen(0, () => {
+      resolve(httpServer);
+    });
+  });
+}
+
+/**
+ * Sends a request to the admin API of a server.
+ * @param {import("node:http").Server} server - Server to send the request to.
+ * @param {string} path - Path under `/admin`.
+ * @param {RequestInit} [init] - Options of the request.
+ * @returns {Promise<Response>} - Response of the server.
+ */
+function request(server, path, init) {
+  const address = /** @type {import("node:net").AddressInfo} */ (
+    server.address()
+  );
+  return fetch(`http://localhost:${address.port}/admin${path}`, init);
+}
+
+describe("the admin API", () => {
+  /** @type {import("node:http").Server} */
+  let server;
+
+  before(async () => {
+    app.rooms = new Rooms({
+      clock: new FakeClock(),
+      logger: new Logger({ sink: () => {} }),
+    });
+    server = await listen("segredo");
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  it("rejects requests without the admin token", async () => {
+    const response = await request(server, "/rooms");
+    assert.equal(response.status, 401);
+  });
+
+  it("rejects requests with the wrong admin token", async () => {
+    const response = await request(server, "/rooms", {
+      headers: { Authorization: "Bearer errado" },
+    });
+    assert.equal(response.status, 401);
+  });
+
+  it("is disabled without an admin token", async () => {
+    const disabled = await listen();
+    try {
+      const response = await request(disabled, "/rooms", {
+        headers: { Authorization: "Bearer segredo" },
+      });
+      assert.equal(response.status, 404);
+    } finally {
+      disabled.close();
+    }
+  });
+
+  it("kicks players by name", async () => {
+    const id = app.rooms.create({
+      ...roomSettingsSchema.parse({ letters: ["S"], categories: ["Cor"] }),
+      passwordHash: "",
+    });
+    const room = app.rooms.get(id);
+    assert.ok(room);
+    const a = join(room, "a");
+    join(room, "b");
+
+    const response = await request(server, `/rooms/${id}/kick`, {
+      method: "POST",
+      headers: {
+        Authorization: "Bearer segredo",
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ name: "a" }),
+    });
+    assert.equal(response.status, 204);
+    assert.ok(a.closed);
+    assert.deepEqual(
+      room.players.map((player) => player.name),
+      ["b"]
+    );
+
+    const missing = await request(server, `/rooms/${id}/kick`, {
+      method: "POST",
+      headers: {
+        Authorization: "Bearer segredo",
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ name: "a" }),
+    });
+    assert.equal(missing.status, 404);
+  });
+});
@@ -0,0 +1,122 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { isKnownAnswer } from "../src/dictionary.js";
+import { createRoom, join } from "./fakes.js";
+
+describe("bots", () => {
+  it("are added and removed by the host in the lobby", () => {
+    const { room } = createRoom();
+    const host = join(room, "host");
+    const guest = join(room, "guest");
+
+    host.receive({ type: "add-bot", content: { skill: 1, speed: 1 } });
+    host.receive({
+      type: "add-bot",
+      content: { name: "Robô", skill: 0.5, speed: 0.5 },
+    });
+    guest.receive({ type: "add-bot", content: { skill: 0.5, speed: 0.5 } });
+
+    assert.deepEqual(
+      room.players.map((player) => [player.name, player.bot]),
+      [
+        ["host", false],
+        ["guest", false],
+        ["Bot 1", true],
+        ["Robô", true],
+      ]
+    );
+    assert.deepEqual(
+      guest.received("player-joined").map(({ content }) => content),
+      [
+        { name: "Bot 1", bot: true },
+        { name: "Robô", bot: true },
+      ]
+    );
+
+    host.receive({ type: "remove-bot", content: { name: "guest" } });
+    host.receive({ type: "remove-bot", content: { name: "Bot 1" } });
+    assert.deepEqual(
+      room.players.map((player) => player.name),
+      ["host", "guest", "Robô"]
+    );
+  });
+
+  it("answer with known words, vote and stay connected", () => {
+    const { room, clock } = createRoom();
+    const host = join(room, "host");
+    host.receive({ type: "add-bot", content: { skill: 1, speed: 1 } });
+
+    host.receive({ type: "start-round" });
+    clock.advance(5e3);
+    const [started] = host.received("round-started");
+    assert.ok(started);
+
+    clock.advance(started.content.duration + 3e3 + 3 * 7500);
+    assert.equal(room.state, "leaderboard");
+
+    const [record] = room.history;
+    assert.ok(record);
+    for (const { category, answers } of record.categories) {
+      const answer = answers.find(({ player }) => player === "Bot 1");
+      assert.ok(answer, `The bot didn't answer ${category}`);
+      assert.ok(isKnownAnswer(category, answer.answer));
+    }
+
+    // Bots send heartbeats, so they outlast the inactivity timeout.
+    clock.advance(room.timings.inactivityTimeout * 2);
+    assert.ok(room.players.every((player) => player.connected));
+  });
+
+  it("don't answer categories in languages the dictionary doesn't know", () => {
+    const { room, clock } = createRoom({ language: "en" });
+    const host = join(room, "host");
+    host.receive({ type: "add-bot", content: { skill: 1, speed: 1 } });
+
+    host.receive({ type: "start-round" });
+    clock.advance(5e3);
+    const [started] = host.received("round-started");
+    assert.ok(started);
+
+    clock.advance(started.content.duration + 3e3 + 3 * 7500);
+    assert.deepEqual(
+      room.history[0]?.categories.flatMap(({ answers }) => answers),
+      []
+    );
+  });
+
+  it("can't be added during a round", () => {
+    const { room } = createRoom();
+    const host = join(room, "host");
+
+    host.receive({ type: "start-round" });
+    host.receive({ type: "add-bot", content: { skill: 0.5, speed: 0.5 } });
+
+    assert.equal(room.playerCount, 1);
+  });
+
+  it("can't be made the host", () => {
+    const { room } = createRoom();
+    const host = join(room, "host");
+    host.receive({ type: "add-bot", content: { skill: 0.5, speed: 0.5 } });
+
+    host.receive({ type: "transfer-host", content: { name: "Bot 1" } });
+    assert.equal(room.host?.name, "host");
+
+    host.receive({ type: "start-round" });
+    assert.equal(room.state, "round-starting");
+  });
+
+  it("leave with the last human player", () => {
+    const { room, clock } = createRoom();
+    const host = join(room, "host");
+    host.receive({ type: "add-bot", content: { skill: 0.5, speed: 0.5 } });
+    host.receive({ type: "add-bot", content: { skill: 0.5, speed: 0.5 } });
+
+    host.receive({ type: "leave-room" });
+    assert.equal(room.playerCount, 0);
+
+    clock.advance(room.timings.emptyRoomTimeout);
+    assert.equal(room.state, "closed");
+    assert.equal(clock.pending, 0);
+  });
+});
@@ -0,0 +1,86 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { getCategoryPack } from "../src/category-packs.js";
+import { createPostSchema } from "../src/routes/rooms.js";
+
+/**
+ * Gets the paths of the issues of a room creation body that isn't valid.
+ * @param {object} body - Body of the room creation request.
+ * @returns {string[]} - Paths of the issues, joined with dots.
+ */
+function issuePaths(body) {
+  const result = createPostSchema.safeParse({ letters: ["S"], ...body });
+  assert.ok(!result.success, "The body was valid");
+
+  return result.error.issues.map((issue) => issue.path.join("."));
+}
+
+describe("rooms created from a category pack", () => {
+  it("take the categories and the language of the pack", () => {
+    const pack = getCategoryPack("classic-en");
+    assert.ok(pack);
+
+    const settings = createPostSchema.parse({
+      letters: ["S"],
+      pack: "classic-en",
+    });
+    assert.deepEqual(settings.categories, pack.categories);
+    assert.equal(settings.language, "en");
+  });
+
+  it("leave out excluded categories, ignoring case and accents", () => {
+    const settings = createPostSchema.parse({
+      letters: ["S"],
+      pack: "kids-pt-br",
+      excludedCategories: ["COR", "desenho animado", "Brinquedo"],
+    });
+    assert.deepEqual(settings.categories, [
+      "Nome",
+      "Animal",
+      "Fruta",
+      "Comida",
+      "Objeto",
+    ]);
+  });
+
+  it("add extra categories that aren't there yet", () => {
+    const settings = createPostSchema.parse({
+      letters: ["S"],
+      categories: ["Cor", "País"],
+      extraCategories: ["cor", "Fruta", "pais", "FRUTA"],
+    });
+    assert.deepEqual(settings.categories, ["Cor", "País", "Fruta"]);
+  });
+
+  it("need exactly one of categories and pack", () => {
+    assert.deepEqual(issuePaths({}), ["categories"]);
+    assert.deepEqual(
+      issuePaths({ categories: ["Cor"], pack: "classic-pt-br" }),
+      ["categories"]
+    );
+  });
+
+  it("need a pack that exists", () => {
+    assert.deepEqual(issuePaths({ pack: "no-such-pack" }), ["pack"]);
+  });
+
+  it("still need between 1 and 32 categories", () => {
+    const pack = getCategoryPack("kids-pt-br");
+    assert.ok(pack);
+
+    assert.deepEqual(
+      issuePaths({ pack: pack.id, excludedCategories: pack.categories }),
+      ["categories"]
+    );
+    assert.deepEqual(
+      issuePaths({
+        pack: pack.id,
+        extraCategories: Array.from(
+          { length: 25 },
+          (_, index) => `Extra ${index}`
+        ),
+      }),
+      ["categories"]
+    );
+  });
+});
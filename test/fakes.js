@@ -0,0 +1,289 @@
+import { Logger } from "../src/logger.js";
+import Room from "../src/room.js";
+import { seededRandom } from "../src/random.js";
+import { roomSettingsSchema } from "../src/room-settings.js";
+
+/** @typedef {import("../src/clock.js").Clock} Clock */
+/** @typedef {import("../src/transport.js").Transport} Transport */
+
+/**
+ * Callback scheduled on a fake clock.
+ * @typedef {object} ScheduledTimer
+ * @property {number} due - Time when the callback is due.
+ * @property {number} order - Order in which the timer was scheduled, to break
+ * ties between timers due at the same time.
+ * @property {number | undefined} interval - Interval between calls, if the
+ * timer repeats.
+ * @property {() => void} callback - Scheduled callback.
+ */
+
+/**
+ * Clock whose time only moves when told to, running the timers that become
+ * due in order.
+ * @implements {Clock}
+ */
+export class FakeClock {
+  /**
+   * Current time, in milliseconds.
+   * @type {number}
+   */
+  #now = 0;
+
+  /** @type {Set<ScheduledTimer>} */
+  #timers = new Set();
+
+  /**
+   * Number of timers scheduled so far.
+   * @type {number}
+   */
+  #scheduled = 0;
+
+  /** @returns {number} - Number of timers waiting to run. */
+  get pending() {
+    return this.#timers.size;
+  }
+
+  /** @returns {number} - Current time, in milliseconds. */
+  now() {
+    return this.#now;
+  }
+
+  /**
+   * Schedules a callback.
+   * @param {() => void} callback - Callback to schedule.
+   * @param {number} delay - Delay before the first call, in milliseconds.
+   * @param {number} [interval] - Interval between calls, if the timer
+   * repeats.
+   * @returns {ScheduledTimer} - Scheduled timer.
+   */
+  #schedule(callback, delay, interval) {
+    const timer = {
+      due: this.#now + delay,
+      order: this.#scheduled++,
+      interval,
+      callback,
+    };
+    this.#timers.add(timer);
+
+    return timer;
+  }
+
+  /**
+   * Calls a function once after a delay.
+   * @param {() => void} callback - Function to call.
+   * @param {number} delay - Delay, in milliseconds.
+   * @returns {import("../src/clock.js").Timer} - Handle of the timeout.
+   */
+  setTimeout(callback, delay) {
+    return this.#schedule(callback, delay);
+  }
+
+  /**
+   * Calls a function repeatedly.
+   * @param {() => void} callback - Function to call.
+   * @param {number} interval - Interval between calls, in milliseconds.
+   * @returns {import("../src/clock.js").Timer} - Handle of the interval.
+   */
+  setInterval(callback, interval) {
+    return this.#schedule(callback, interval, interval);
+  }
+
+  /**
+   * Cancels a timeout.
+   * @param {import("../src/clock.js").Timer | undefined} timer - Timeout to
+   * cancel.
+   */
+  clearTimeout(timer) {
+    this.#timers.delete(/** @type {ScheduledTimer} */ (timer));
+  }
+
+  /**
+   * Cancels an interval.
+   * @param {import("../src/clock.js").Timer | undefined} timer - Interval to
+   * cancel.
+   */
+  clearInterval(timer) {
+    this.#timers.delete(/** @type {ScheduledTimer} */ (timer));
+  }
+
+  /**
+   * Moves time forward, running the timers that become due in order.
+   * @param {number} time - Time to move forward, in milliseconds.
+   */
+  advance(time) {
+    const target = this.#now + time;
+
+    for (;;) {
+      const [next] = [...this.#timers]
+        .filter((timer) => timer.due <= target)
+        .sort((a, b) => a.due - b.due || a.order - b.order);
+      if (next == undefined) break;
+
+      this.#now = next.due;
+      if (next.interval == undefined) this.#timers.delete(next);
+      else {
+        next.due += next.interval;
+        next.order = this.#scheduled++;
+      }
+
+      next.callback();
+    }
+
+    this.#now = target;
+  }
+}
+
+/**
+ * Transport to an in-process fake client, which records the messages sent to
+ * it.
+ * @implements {Transport}
+ */
+export class FakeTransport {
+  /**
+   * Messages sent to the client, from oldest to newest.
+   * @type {import("../src/player-messages.js").ToPlayerMessage[]}
+   */
+  messages = [];
+
+  /**
+   * Code and reason the connection was closed with, if closed by the server.
+   * @type {{ code: number, reason: string } | undefined}
+   */
+  closedWith;
+
+  /**
+   * Whether the connection is closed.
+   * @type {boolean}
+   */
+  closed = false;
+
+  /** @type {((data: unknown) => void)[]} */
+  #messageListeners = [];
+
+  /** @type {(() => void)[]} */
+  #closeListeners = [];
+
+  /**
+   * Records a message sent to the client.
+   * @param {import("../src/player-messages.js").ToPlayerMessage} message -
+   * Message to send.
+   */
+  send(message) {
+    if (!this.closed) this.messages.push(message);
+  }
+
+  /**
+   * Closes the connection.
+   * @param {number} code - Close code.
+   * @param {string} reason - Reason for closing.
+   */
+  close(code, reason) {
+    if (this.closed) return;
+
+    this.closedWith = { code, reason };
+    this.disconnect();
+  }
+
+  /** Drops the connection. */
+  terminate() {
+    this.disconnect();
+  }
+
+  /**
+   * Adds a listener for messages from the client.
+   * @param {(data: unknown) => void} listener - Listener to add.
+   */
+  onMessage(listener) {
+    this.#messageListeners.push(listener);
+  }
+
+  /**
+   * Adds a listener for when the connection is closed.
+   * @param {() => void} listener - Listener to add.
+   */
+  onClose(listener) {
+    this.#closeListeners.push(listener);
+  }
+
+  /**
+   * Sends a message from the client to the server.
+   * @param {import("../src/player-messages.js").FromPlayerMessage} message -
+   * Message to send.
+   */
+  receive(message) {
+    if (this.closed) return;
+
+    for (const listener of this.#messageListeners) listener(message);
+  }
+
+  /** Closes the connection from the client side. */
+  disconnect() {
+    if (this.closed) return;
+
+    this.closed = true;
+    for (const listener of this.#closeListeners) listener();
+  }
+
+  /**
+   * Gets the messages of a type sent to the client.
+   * @template {import("../src/player-messages.js").ToPlayerMessage["type"]} T
+   * @param {T} type - Type of the messages.
+   * @returns {Extract<import("../src/player-messages.js").ToPlayerMessage, { type: T }>[]} -
+   * Messages of the given type, from oldest to newest.
+   */
+  received(type) {
+    return /** @type {Extract<import("../src/player-messages.js").ToPlayerMessage, { type: T }>[]} */ (
+      this.messages.filter((message) => message.type === type)
+    );
+  }
+}
+
+/**
+ * Creates a room with a fake clock, a seeded random number source and a
+ * logger that collects its entries.
+ * @param {object} [settings] - Settings of the room, validated and completed
+ * with the defaults.
+ * @param {string} [passwordHash] - Hash of the password of the room.
+ * @returns {{ room: Room, clock: FakeClock, logs: Record<string, unknown>[] }} -
+ * Created room, its clock and the entries it logged, from oldest to newest.
+ */
+export function createRoom(settings = {}, passwordHash = "") {
+  const clock = new FakeClock();
+  /** @type {Record<string, unknown>[]} */
+  const logs = [];
+  const logger = new Logger({
+    level: "debug",
+    sink: (line) => {
+      /** @type {unknown} */
+      const entry = JSON.parse(line);
+      logs.push(/** @type {Record<string, unknown>} */ (entry));
+    },
+  });
+  const room = new Room(
+    "test-room",
+    {
+      ...roomSettingsSchema.parse({
+        letters: ["S"],
+        categories: ["Cidade", "Cor"],
+        ...settings,
+      }),
+      passwordHash,
+    },
+    { clock, random: seededRandom(1), logger }
+  );
+
+  return { room, clock, logs };
+}
+
+/**
+ * Adds a player with a fake transport to a room.
+ * @param {Room} room - Room to join.
+ * @param {string} name - Name of the player.
+ * @returns {FakeTransport} - Transport of the player.
+ */
+export function join(room, name) {
+  const transport = new FakeTransport();
+  room.addPlayer(name, transport);
+
+  return transport;
+}
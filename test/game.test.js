@@ -0,0 +1,609 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import CloseCodes from "../src/close-codes.js";
+import Room, { RoomFullError } from "../src/room.js";
+import { FakeClock, FakeTransport, createRoom, join } from "./fakes.js";
+
+/** Timings that keep players from being dropped in the middle of a game. */
+const patientTimings = { inactivityTimeout: 300e3 };
+
+/**
+ * Starts a round and waits for the answering period to begin.
+ * @param {import("./fakes.js").FakeClock} clock - Clock of the room.
+ * @param {import("./fakes.js").FakeTransport} host - Transport of the host.
+ * @returns {{ letter: string, duration: number }} - Letter and duration of the
+ * round.
+ */
+function startRound(clock, host) {
+  host.receive({ type: "start-round" });
+  clock.advance(5e3);
+
+  const [started] = host.received("round-started").slice(-1);
+  assert.ok(started, "The round didn't start");
+
+  return started.content;
+}
+
+/**
+ * Sends an answer from a player.
+ * @param {import("./fakes.js").FakeTransport} player - Transport of the player.
+ * @param {string} category - Category of the answer.
+ * @param {string} answer - Answer to give.
+ */
+function answer(player, category, answer) {
+  player.receive({ type: "change-answer", content: { category, answer } });
+}
+
+/**
+ * Drops the connection of a player and resumes their session with a new
+ * transport.
+ * @param {import("../src/room.js").default} room - Room of the player.
+ * @param {import("./fakes.js").FakeTransport} player - Transport of the
+ * player.
+ * @returns {import("./fakes.js").FakeTransport} - New transport of the
+ * player.
+ */
+function resume(room, player) {
+  const [token] = player.received("resume-token");
+  assert.ok(token);
+
+  player.disconnect();
+  const transport = new FakeTransport();
+  room.reconnectPlayer(token.content.token, transport);
+
+  return transport;
+}
+
+describe("a game", () => {
+  it("goes from the lobby through voting to the leaderboard when time runs out", () => {
+    const { room, clock } = createRoom({ timings: patientTimings });
+    const a = join(room, "a");
+    const b = join(room, "b");
+
+    const { letter, duration } = startRound(clock, a);
+    assert.equal(letter, "S");
+    assert.equal(room.state, "round-answering");
+
+    answer(a, "Cidade", "Salvador");
+    answer(a, "Cor", "Salmão");
+    answer(b, "Cidade", "Santos");
+    answer(b, "Cor", "Azul");
+
+    clock.advance(duration);
+    assert.equal(room.state, "round-answering-stopping");
+    assert.deepEqual(b.received("round-stopping")[0]?.content, {
+      requester: undefined,
+    });
+
+    clock.advance(3e3);
+    assert.equal(room.state, "voting");
+
+    clock.advance(7500);
+    assert.deepEqual(b.received("category-vote-started")[0]?.content, {
+      category: "Cidade",
+      answers: ["Salvador", "Santos"],
+      hints: [
+        { answer: "Salvador", hint: "known", autoAccepted: false },
+        { answer: "Santos", hint: "unknown", autoAccepted: false },
+      ],
+      duration: 7500,
+    });
+    b.receive({
+      type: "change-answer-vote",
+      content: { category: "Cidade", answer: "Salvador", accepted: false },
+    });
+
+    clock.advance(7500);
+    b.receive({
+      type: "change-answer-vote",
+      content: { category: "Cidade", answer: "Salvador", accepted: true },
+    });
+    assert.deepEqual(b.received("vote-rejected")[0]?.content, {
+      category: "Cidade",
+      answer: "Salvador",
+    });
+    // Answers that don't start with the letter aren't voted on.
+    assert.deepEqual(b.received("category-vote-started")[1]?.content.answers, [
+      "Salmão",
+    ]);
+
+    clock.advance(7500);
+    assert.equal(room.state, "leaderboard");
+    assert.deepEqual(a.received("voting-ended")[0]?.content, {
+      round: 1,
+      scores: { a: 3, b: 2 },
+      totals: { a: 3, b: 2 },
+    });
+  });
+
+  it("is starting the round by the time players are told about it", () => {
+    const { room } = createRoom({ timings: patientTimings });
+    const a = join(room, "a");
+
+    /** @type {string[]} */
+    const states = [];
+    const b = new FakeTransport();
+    b.send = (message) => {
+      if (message.type === "round-starting") states.push(room.state);
+    };
+    room.addPlayer("b", b);
+
+    a.receive({ type: "start-round" });
+    assert.deepEqual(states, ["round-starting"]);
+  });
+
+  it("lets players stop the round early once stops are unlocked", () => {
+    const { room, clock } = createRoom({ timings: patientTimings });
+    const a = join(room, "a");
+    const b = join(room, "b");
+
+    const { duration } = startRound(clock, a);
+    answer(b, "Cidade", "Sorocaba");
+
+    b.receive({ type: "stop-round" });
+    assert.equal(room.state, "round-answering");
+
+    clock.advance(duration / 2);
+    assert.equal(b.received("stop-available").length, 1);
+
+    b.receive({ type: "stop-round" });
+    assert.equal(room.state, "round-answering-stopping");
+    assert.deepEqual(a.received("round-stopping")[0]?.content, {
+      requester: "b",
+    });
+
+    clock.advance(3e3 + 3 * 7500);
+    assert.equal(room.state, "leaderboard");
+    assert.equal(room.history[0]?.stoppedBy, "b");
+    assert.deepEqual(a.received("voting-ended")[0]?.content.scores, {
+      a: 0,
+      b: 2,
+    });
+  });
+
+  it("rejects answers that are too long and keeps the previous ones", () => {
+    const { room, clock } = createRoom({ timings: patientTimings });
+    const a = join(room, "a");
+
+    answer(a, "Cidade", "Salvador");
+    startRound(clock, a);
+    answer(a, "Cidade", "Salvador");
+    answer(a, "Cidade", "S".repeat(65));
+
+    assert.deepEqual(
+      a.received("answer-rejected").map(({ content }) => content),
+      [
+        { category: "Cidade", answer: "Salvador", reason: "not-answering" },
+        { category: "Cidade", answer: "S".repeat(65), reason: "too-long" },
+      ]
+    );
+    assert.equal(room.players[0]?.answers.get("Cidade"), "Salvador");
+  });
+
+  it("finishes voting when a player leaves mid-vote", () => {
+    const { room, clock } = createRoom({ timings: patientTimings });
+    const a = join(room, "a");
+    const b = join(room, "b");
+    const c = join(room, "c");
+
+    const { duration } = startRound(clock, a);
+    answer(a, "Cidade", "Salvador");
+    answer(c, "Cidade", "Santos");
+
+    clock.advance(duration + 3e3 + 7500);
+    assert.equal(a.received("category-vote-started").length, 1);
+
+    c.receive({ type: "leave-room" });
+    assert.equal(c.closedWith?.code, CloseCodes.PLAYER_REMOVED);
+
+    clock.advance(2 * 7500);
+    assert.equal(room.state, "leaderboard");
+
+    const [ended] = b.received("voting-ended");
+    assert.deepEqual(ended?.content.totals, { a: 3, b: 0 });
+    assert.deepEqual(
+      room.players.map((player) => player.name),
+      ["a", "b"]
+    );
+  });
+
+  it("leaves players who join mid-vote out of the vote count", () => {
+    const { room, clock } = createRoom({
+      timings: patientTimings,
+      scoring: "classic",
+    });
+    const a = join(room, "a");
+    join(room, "b");
+    const c = join(room, "c");
+
+    const { duration } = startRound(clock, a);
+    answer(a, "Cidade", "Salvador");
+
+    clock.advance(duration + 3e3 + 7500);
+    c.receive({
+      type: "change-answer-vote",
+      content: { category: "Cidade", answer: "Salvador", accepted: false },
+    });
+    join(room, "d");
+
+    clock.advance(2 * 7500);
+    assert.equal(room.state, "leaderboard");
+    assert.deepEqual(a.received("voting-ended")[0]?.content.scores, {
+      a: 10,
+      b: 0,
+      c: 0,
+    });
+  });
+
+  it("ends the match after the configured number of rounds", () => {
+    const { room, clock } = createRoom({
+      timings: patientTimings,
+      match: { rounds: 2 },
+    });
+    const a = join(room, "a");
+    join(room, "b");
+
+    for (let round = 1; round <= 2; ++round) {
+      const { duration } = startRound(clock, a);
+      answer(a, "Cor", "Safira");
+      clock.advance(duration + 3e3 + 3 * 7500);
+    }
+
+    const [ended] = a.received("match-ended");
+    assert.ok(ended);
+    assert.equal(ended.content.rounds, 2);
+    assert.deepEqual(ended.content.standings, [
+      { name: "a", score: 4 },
+      { name: "b", score: 0 },
+    ]);
+    assert.equal(ended.content.history.length, 2);
+    assert.equal(room.state, "lobby");
+  });
+
+  it("draws the same letters for the same seed", () => {
+    const letters = [..."ABCDEFGHIJKLMNOPQRSTUVWXYZ"];
+
+    const drawn = [0, 1].map(() => {
+      const { room, clock } = createRoom({ letters, timings: patientTimings });
+      const a = join(room, "a");
+
+      const sequence = [];
+      for (let round = 0; round < 5; ++round) {
+        const { letter, duration } = startRound(clock, a);
+        sequence.push(letter);
+        clock.advance(duration + 3e3 + 3 * 7500);
+      }
+
+      return sequence;
+    });
+
+    assert.deepEqual(drawn[0], drawn[1]);
+  });
+});
+
+describe("resumed sessions", () => {
+  it("catch up with the round being answered", () => {
+    const { room, clock } = createRoom({ timings: patientTimings });
+    const a = join(room, "a");
+    const b = join(room, "b");
+
+    const { duration } = startRound(clock, a);
+    answer(b, "Cidade", "Santos");
+    clock.advance(1e3);
+
+    const resumed = resume(room, b);
+    assert.deepEqual(resumed.received("room-state")[0]?.content, {
+      state: "round-answering",
+      round: 1,
+      letter: "S",
+      timeLeft: duration - 1e3,
+      stopAvailable: false,
+      answers: { Cidade: "Santos" },
+      totals: { a: 0, b: 0 },
+    });
+  });
+
+  it("catch up with the category open for voting", () => {
+    const { room, clock } = createRoom({ timings: patientTimings });
+    const a = join(room, "a");
+    const b = join(room, "b");
+
+    const { duration } = startRound(clock, a);
+    answer(a, "Cidade", "Salvador");
+    answer(b, "Cidade", "Santos");
+    clock.advance(duration + 3e3 + 7500);
+    b.receive({
+      type: "change-answer-vote",
+      content: { category: "Cidade", answer: "Salvador", accepted: false },
+    });
+    clock.advance(2e3);
+
+    const resumed = resume(room, b);
+    const [state] = resumed.received("room-state");
+    assert.equal(state?.content.state, "voting");
+    assert.equal(state.content.timeLeft, 5500);
+    assert.deepEqual(state.content.vote, {
+      category: "Cidade",
+      answers: ["Salvador", "Santos"],
+      hints: [
+        { answer: "Salvador", hint: "known", autoAccepted: false },
+        { answer: "Santos", hint: "unknown", autoAccepted: false },
+      ],
+      duration: 7500,
+      accepted: ["Santos"],
+    });
+  });
+
+  it("catch up with a room restored from a snapshot", () => {
+    const { room, clock } = createRoom({ timings: patientTimings });
+    const a = join(room, "a");
+    join(room, "b");
+
+    const { duration } = startRound(clock, a);
+    answer(a, "Cidade", "Salvador");
+    clock.advance(duration + 3e3 + 3 * 7500);
+
+    const restored = Room.fromSnapshot(room.snapshot(), {
+      clock: new FakeClock(),
+    });
+    const resumed = resume(restored, a);
+    assert.deepEqual(resumed.received("room-state")[0]?.content, {
+      state: "leaderboard",
+      round: 1,
+      letter: "S",
+      answers: {},
+      totals: { a: 2, b: 0 },
+    });
+  });
+});
+
+describe("spectators", () => {
+  it("can't join once the spectator seats are taken", () => {
+    const { room } = createRoom({ spectatorCapacity: 1 });
+    room.addSpectator("a", new FakeTransport());
+
+    assert.throws(() => {
+      room.addSpectator("b", new FakeTransport());
+    }, RoomFullError);
+    assert.deepEqual(
+      room.spectators.map((spectator) => spectator.name),
+      ["a"]
+    );
+  });
+
+  it("catch up with the round when they join in the middle of it", () => {
+    const { room, clock } = createRoom({ timings: patientTimings });
+    const a = join(room, "a");
+
+    const { duration } = startRound(clock, a);
+    answer(a, "Cidade", "Salvador");
+    clock.advance(duration + 3e3 + 7500);
+
+    const spectator = new FakeTransport();
+    room.addSpectator("s", spectator);
+    assert.deepEqual(spectator.received("room-state")[0]?.content, {
+      state: "voting",
+      round: 1,
+      letter: "S",
+      timeLeft: 7500,
+      answers: {},
+      vote: {
+        category: "Cidade",
+        answers: ["Salvador"],
+        hints: [{ answer: "Salvador", hint: "known", autoAccepted: false }],
+        duration: 7500,
+        accepted: undefined,
+      },
+      totals: { a: 0 },
+    });
+  });
+});
+
+describe("dictionary hints", () => {
+  it("classify every answer, including those with the wrong letter", () => {
+    const { room, clock } = createRoom({ timings: patientTimings });
+    const a = join(room, "a");
+    const b = join(room, "b");
+
+    const { duration } = startRound(clock, a);
+    answer(a, "Cor", "salmao");
+    answer(b, "Cor", "Azul");
+
+    clock.advance(duration + 3e3 + 2 * 7500);
+    assert.deepEqual(b.received("category-vote-started")[1]?.content, {
+      category: "Cor",
+      answers: ["salmao"],
+      hints: [
+        { answer: "salmao", hint: "known", autoAccepted: false },
+        { answer: "Azul", hint: "wrong-letter", autoAccepted: false },
+      ],
+      duration: 7500,
+    });
+  });
+
+  it("can be turned off", () => {
+    const { room, clock } = createRoom({
+      timings: patientTimings,
+      dictionary: { hints: false },
+    });
+    const a = join(room, "a");
+
+    const { duration } = startRound(clock, a);
+    answer(a, "Cidade", "Salvador");
+
+    clock.advance(duration + 3e3 + 7500);
+    const [started] = a.received("category-vote-started");
+    assert.ok(started);
+    assert.equal(started.content.hints, undefined);
+  });
+
+  it("only know the answers of categories in the language of the dictionary", () => {
+    const { room, clock } = createRoom({
+      timings: patientTimings,
+      language: "en",
+      dictionary: { autoAcceptKnown: true },
+    });
+    const a = join(room, "a");
+
+    const { duration } = startRound(clock, a);
+    answer(a, "Cidade", "Salvador");
+
+    clock.advance(duration + 3e3 + 7500);
+    assert.deepEqual(a.received("category-vote-started")[0]?.content.hints, [
+      { answer: "Salvador", hint: "unknown", autoAccepted: false },
+    ]);
+  });
+
+  it("let known answers be accepted regardless of votes", () => {
+    const { room, clock } = createRoom({
+      timings: patientTimings,
+      dictionary: { autoAcceptKnown: true },
+    });
+    const a = join(room, "a");
+    const b = join(room, "b");
+
+    const { duration } = startRound(clock, a);
+    answer(a, "Cidade", "Salvador");
+    answer(b, "Cidade", "Sorocaba");
+
+    clock.advance(duration + 3e3 + 7500);
+    assert.deepEqual(b.received("category-vote-started")[0]?.content.hints, [
+      { answer: "Salvador", hint: "known", autoAccepted: true },
+      { answer: "Sorocaba", hint: "unknown", autoAccepted: false },
+    ]);
+    for (const voter of [a, b])
+      for (const rejected of ["Salvador", "Sorocaba"])
+        voter.receive({
+          type: "change-answer-vote",
+          content: { category: "Cidade", answer: rejected, accepted: false },
+        });
+
+    clock.advance(2 * 7500);
+    assert.deepEqual(a.received("voting-ended")[0]?.content.scores, {
+      a: 2,
+      b: 0,
+    });
+    assert.deepEqual(
+      room.history[0]?.categories[0]?.answers.map(({ answer, acceptedBy }) => [
+        answer,
+        acceptedBy,
+      ]),
+      [
+        ["Salvador", []],
+        ["Sorocaba", []],
+      ]
+    );
+  });
+});
+
+describe("timeouts", () => {
+  it("disconnect inactive players and remove them after the grace period", () => {
+    const { room, clock } = createRoom({
+      timings: { inactivityTimeout: 30e3, reconnectGracePeriod: 10e3 },
+    });
+    const a = join(room, "a");
+    const b = join(room, "b");
+
+    clock.advance(15e3);
+    a.receive({ type: "heartbeat" });
+    clock.advance(15e3);
+
+    assert.ok(b.closed);
+    assert.equal(b.closedWith, undefined);
+    assert.deepEqual(
+      room.players.map((player) => [player.name, player.connected]),
+      [
+        ["a", true],
+        ["b", false],
+      ]
+    );
+    assert.deepEqual(a.received("player-disconnected")[0]?.content, {
+      name: "b",
+    });
+
+    clock.advance(10e3);
+    assert.deepEqual(a.received("player-removed")[0]?.content, {
+      name: "b",
+      reason: "timed-out",
+    });
+    assert.equal(room.playerCount, 1);
+  });
+
+  it("close an empty room and leave no timers behind", () => {
+    const { room, clock } = createRoom({ timings: patientTimings });
+    const a = join(room, "a");
+
+    a.receive({ type: "leave-room" });
+    clock.advance(10e3);
+
+    assert.equal(room.state, "closed");
+    assert.equal(clock.pending, 0);
+  });
+
+  it("stop the round automatically when the time is up", () => {
+    const { room, clock } = createRoom({ timings: patientTimings });
+    const a = join(room, "a");
+
+    const { duration } = startRound(clock, a);
+    clock.advance(duration - 1);
+    assert.equal(room.state, "round-answering");
+
+    clock.advance(1);
+    assert.equal(room.state, "round-answering-stopping");
+  });
+});
+
+describe("operators", () => {
+  it("close a room with a reason that everyone sees", () => {
+    const { room, clock } = createRoom({ timings: patientTimings });
+    const a = join(room, "a");
+    const b = join(room, "b");
+
+    startRound(clock, a);
+    room.notify("Restarting soon");
+    room.close("Server maintenance");
+
+    assert.deepEqual(
+      b.received("notice").map(({ content }) => content),
+      [
+        { kind: "maintenance", text: "Restarting soon" },
+        { kind: "room-closed", text: "Server maintenance" },
+      ]
+    );
+    assert.equal(b.closedWith?.code, CloseCodes.PLAYER_REMOVED);
+    assert.equal(room.state, "closed");
+    assert.equal(clock.pending, 0);
+  });
+});
+
+describe("logs", () => {
+  it("record the room lifecycle with the room and player context", () => {
+    const { room, clock, logs } = createRoom({ timings: patientTimings });
+    const a = join(room, "a");
+    const b = join(room, "b");
+
+    const { duration } = startRound(clock, a);
+    b.receive({ type: "stop-round" });
+    clock.advance(duration + 3e3 + 3 * 7500);
+    b.receive({ type: "leave-room" });
+    room.close("Maintenance");
+
+    assert.ok(logs.every((entry) => entry["room"] === "test-room"));
+    assert.deepEqual(
+      logs.map(({ level, message, player }) => [level, message, player]),
+      [
+        ["info", "Player joined", "a"],
+        ["info", "Player joined", "b"],
+        ["info", "Round starting", undefined],
+        ["info", "Round started", undefined],
+        ["warn", "Couldn't request round stop", "b"],
+        ["info", "Round stopping", undefined],
+        ["info", "Voting ended", undefined],
+        ["info", "Player removed", "b"],
+        ["info", "Closing room at the request of an operator", undefined],
+        ["info", "Room closed", undefined],
+      ]
+    );
+    assert.equal(logs[7]?.["reason"], "left");
+  });
+});
@@ -0,0 +1,141 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { Counter, Histogram, renderMetrics } from "../src/metrics.js";
+import { createRoom, join } from "./fakes.js";
+
+/**
+ * Gets how much a sample increased between two renders of the metrics.
+ * @param {string} before - Metrics rendered first.
+ * @param {string} after - Metrics rendered last.
+ * @param {string} sample - Name and labels of the sample.
+ * @returns {number} - Increase of the sample. Samples that aren't rendered
+ * count as zero.
+ */
+function increase(before, after, sample) {
+  /**
+   * Reads the value of the sample.
+   * @param {string} metrics - Rendered metrics.
+   * @returns {number} - Value of the sample.
+   */
+  const read = (metrics) => {
+    const line = metrics
+      .split("\n")
+      .find((line) => line.startsWith(`${sample} `));
+    return line == undefined ? 0 : Number(line.slice(sample.length + 1));
+  };
+
+  return read(after) - read(before);
+}
+
+describe("metrics", () => {
+  it("render counters by label in the Prometheus text format", () => {
+    const counter = new Counter("test_total", "Test counter", {
+      labeled: true,
+    });
+    counter.inc({ type: "a" });
+    counter.inc({ type: "a" });
+    counter.inc({ type: 'quote"d' }, 3);
+
+    assert.equal(
+      counter.render(),
+      [
+        "# HELP test_total Test counter",
+        "# TYPE test_total counter",
+        'test_total{type="a"} 2',
+        'test_total{type="quote\\"d"} 3',
+        "",
+      ].join("\n")
+    );
+  });
+
+  it("export counters without labels from zero", () => {
+    assert.match(
+      new Counter("test_total", "Test counter").render(),
+      /^test_total 0$/m
+    );
+  });
+
+  it("render histograms with cumulative buckets", () => {
+    const histogram = new Histogram("test_seconds", "Test histogram", [1, 5]);
+    for (const value of [0.5, 2, 3, 10]) histogram.observe(value);
+
+    assert.equal(
+      histogram.render(),
+      [
+        "# HELP test_seconds Test histogram",
+        "# TYPE test_seconds histogram",
+        'test_seconds_bucket{le="1"} 1',
+        'test_seconds_bucket{le="5"} 3',
+        'test_seconds_bucket{le="+Inf"} 4',
+        "test_seconds_sum 15.5",
+        "test_seconds_count 4",
+        "",
+      ].join("\n")
+    );
+  });
+
+  it("count rounds, stops and the voting duration", () => {
+    const { room, clock } = createRoom();
+    const a = join(room, "a");
+    const before = renderMetrics();
+
+    a.receive({ type: "start-round" });
+    clock.advance(5e3);
+    const [started] = a.received("round-started");
+    assert.ok(started);
+    clock.advance(started.content.duration + 3e3 + 3 * 7500);
+    assert.equal(room.state, "leaderboard");
+
+    const after = renderMetrics();
+    assert.equal(increase(before, after, "stop_rounds_started_total"), 1);
+    assert.equal(increase(before, after, "stop_rounds_completed_total"), 1);
+    assert.equal(
+      increase(before, after, 'stop_round_stops_total{trigger="timeout"}'),
+      1
+    );
+    assert.equal(
+      increase(
+        before,
+        after,
+        'stop_vote_phase_duration_seconds_bucket{le="20"}'
+      ),
+      0
+    );
+    assert.equal(
+      increase(
+        before,
+        after,
+        'stop_vote_phase_duration_seconds_bucket{le="30"}'
+      ),
+      1
+    );
+    assert.equal(
+      increase(
+        before,
+        after,
+        'stop_messages_received_total{type="start-round"}'
+      ),
+      1
+    );
+  });
+
+  it("don't count the messages of bots", () => {
+    const { room } = createRoom();
+    const host = join(room, "host");
+    host.receive({ type: "add-bot", content: { skill: 1, speed: 1 } });
+    const before = renderMetrics();
+
+    host.receive({ type: "start-round" });
+    assert.equal(room.state, "round-starting");
+
+    const after = renderMetrics();
+    assert.equal(
+      increase(
+        before,
+        after,
+        'stop_messages_sent_total{type="round-starting"}'
+      ),
+      1
+    );
+  });
+});
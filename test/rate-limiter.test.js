@@ -0,0 +1,39 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import CloseCodes from "../src/close-codes.js";
+import { KeyedRateLimiter } from "../src/rate-limiter.js";
+import { FakeClock, createRoom, join } from "./fakes.js";
+
+describe("a keyed rate limiter", () => {
+  it("limits each key separately within the window", () => {
+    const clock = new FakeClock();
+    const limiter = new KeyedRateLimiter(2, 1e3, clock);
+
+    assert.ok(limiter.tryAcquire("a"));
+    assert.ok(limiter.tryAcquire("a"));
+    assert.ok(!limiter.tryAcquire("a"));
+    assert.ok(limiter.tryAcquire("b"));
+
+    clock.advance(1e3);
+    assert.ok(limiter.tryAcquire("a"));
+  });
+});
+
+describe("a player connection", () => {
+  it("is closed when flooding messages, leaving the session resumable", () => {
+    const { room } = createRoom();
+    const a = join(room, "a");
+    join(room, "b");
+
+    for (let index = 0; index < 60; ++index) a.receive({ type: "heartbeat" });
+
+    assert.equal(a.closedWith?.code, CloseCodes.RATE_LIMITED);
+    assert.deepEqual(
+      room.players.map((player) => [player.name, player.connected]),
+      [
+        ["a", false],
+        ["b", true],
+      ]
+    );
+  });
+});
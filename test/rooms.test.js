@@ -0,0 +1,41 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { setImmediate } from "node:timers/promises";
+import { Logger } from "../src/logger.js";
+import { roomSettingsSchema } from "../src/room-settings.js";
+import Room from "../src/room.js";
+import Rooms from "../src/rooms.js";
+import { FakeClock } from "./fakes.js";
+
+describe("a list of rooms", () => {
+  it("saves changed rooms after a delay on the clock of the rooms", async () => {
+    const clock = new FakeClock();
+    const rooms = new Rooms({ clock, logger: new Logger({ sink: () => {} }) });
+
+    /** @type {import("../src/room-store.js").RoomSnapshot[]} */
+    const saved = [];
+    await rooms.useStore({
+      save: (snapshot) => {
+        saved.push(snapshot);
+        return Promise.resolve();
+      },
+      remove: () => Promise.resolve(),
+      loadAll: () => Promise.resolve([]),
+    });
+
+    const id = rooms.create({
+      ...roomSettingsSchema.parse({ letters: ["S"], categories: ["Cor"] }),
+      passwordHash: "",
+    });
+    await setImmediate();
+    assert.deepEqual(saved, []);
+
+    clock.advance(1e3);
+    await setImmediate();
+    assert.equal(saved.length, 1);
+
+    const snapshot = saved[0];
+    assert.ok(snapshot);
+    assert.equal(Room.fromSnapshot(snapshot, { clock }).id, id);
+  });
+});
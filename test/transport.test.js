@@ -0,0 +1,42 @@
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import { describe, it } from "node:test";
+import { WebSocket, WebSocketServer } from "ws";
+import { WebSocketTransport } from "../src/transport.js";
+import { createRoom } from "./fakes.js";
+
+describe("WebSocket transports", () => {
+  it("close connections that send malformed messages", async () => {
+    const { room } = createRoom();
+    const server = new WebSocketServer({ port: 0 });
+    server.on("connection", (ws) => {
+      room.addPlayer("a", new WebSocketTransport(ws));
+    });
+    await once(server, "listening");
+
+    try {
+      const { port } = /** @type {import("node:net").AddressInfo} */ (
+        server.address()
+      );
+      const client = new WebSocket(`ws://localhost:${port}`);
+      await once(client, "open");
+      /** @type {Promise<number>} */
+      const closed = new Promise((resolve) => {
+        client.once("close", (code) => {
+          resolve(code);
+        });
+      });
+
+      client.send(
+        JSON.stringify({
+          type: "change-answer-vote",
+          content: { answer: "Salvador", accepted: true },
+        })
+      );
+
+      assert.equal(await closed, 1008);
+    } finally {
+      server.close();
+    }
+  });
+});